@@ -134,6 +134,17 @@ module.exports = function (grunt) {
         }
       },
 
+      fake: {
+        src: "lib/FakeWebRtc.js",
+        dest: DIST_DIR + "/FakeWebRtc.js",
+
+        options: {
+          browserifyOptions: {
+            standalone: "FakeWebRtc"
+          }
+        }
+      },
+
       coverage: {
         src: "lib-cov/browser.js",
         dest: DIST_DIR + "/<%= pkg.name %>.cov.js",
@@ -243,6 +254,7 @@ module.exports = function (grunt) {
   grunt.registerTask("coverage", [
     "clean:coverage",
     "jscoverage",
-    "browserify:coverage"
+    "browserify:coverage",
+    "browserify:fake"
   ]);
 };
@@ -0,0 +1,463 @@
+/*
+ * (C) Copyright 2026 Kurento (http://kurento.org/)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var inherits = require('inherits')
+var merge = require('merge')
+var createLogger = require('./logger').createLogger
+var promisify = require('./utils').promisify
+
+var EventEmitter = require('events').EventEmitter
+
+// Subprotocol of the data channels with framed messages
+var MESSAGING_PROTOCOL = 'kurento-utils-messaging'
+
+// Size of the chunks of binary messages, small enough for all browsers
+var CHUNK_SIZE = 16 * 1024
+
+// Limits of the RTCDataChannel buffer to stop and resume sending queued data
+var HIGH_WATER_MARK = 1024 * 1024
+var LOW_WATER_MARK = 256 * 1024
+
+var REQUEST_TIMEOUT = 10000
+
+// Reliability presets, as RTCDataChannelInit options
+var PRESETS = {
+  reliable: {
+    ordered: true
+  },
+  unordered: {
+    ordered: false
+  },
+  partial: {
+    ordered: false,
+    maxPacketLifeTime: 500
+  },
+  unreliable: {
+    ordered: false,
+    maxRetransmits: 0
+  }
+}
+
+/**
+ * Wrapper object of an RTCDataChannel managed by a WebRtcPeer. It emits the
+ * `open`, `close`, `message`, `bufferedamountlow` and `error` events of the
+ * RTCDataChannel.
+ *
+ * Data sent before the channel is open, or while its buffer is full, is queued
+ * and sent later.
+ *
+ * Channels created with the `messaging` option (on both peers) frame their
+ * messages, so objects are sent as JSON and binary messages bigger than the
+ * SCTP message size limit are split in chunks and reassembled on the other
+ * side. They also support requests, that are emitted in `request` events with
+ * a function to send back the response.
+ *
+ * @constructor module:kurentoUtils.WebRtcPeer.DataChannel
+ *
+ * @param {RTCDataChannel} channel
+ * @param {Object} [options]
+ * @param {Object} [options.logger] - Logger, like the one of the WebRtcPeer
+ */
+function DataChannel(channel, options) {
+  if (!(this instanceof DataChannel)) {
+    return new DataChannel(channel, options)
+  }
+
+  DataChannel.super_.call(this)
+
+  options = options || {}
+
+  var self = this
+  var logger = options.logger || createLogger()
+
+  var messaging = channel.protocol === MESSAGING_PROTOCOL
+
+  var queue = []
+  var queuedAmount = 0
+
+  var requestId = 0
+  var requests = {}
+
+  var incoming
+
+  Object.defineProperties(this, {
+    'channel': {
+      value: channel
+    },
+
+    'label': {
+      get: function () {
+        return channel.label
+      }
+    },
+
+    'id': {
+      get: function () {
+        return channel.id
+      }
+    },
+
+    'readyState': {
+      get: function () {
+        return channel.readyState
+      }
+    },
+
+    'messaging': {
+      value: messaging
+    },
+
+    /**
+     * Bytes buffered by the RTCDataChannel plus the ones waiting to be sent
+     *
+     * @member {Number} bufferedAmount
+     */
+    'bufferedAmount': {
+      get: function () {
+        return channel.bufferedAmount + queuedAmount
+      }
+    }
+  })
+
+  if (messaging) channel.binaryType = 'arraybuffer'
+  channel.bufferedAmountLowThreshold = LOW_WATER_MARK
+
+  function emitError(error) {
+    // Don't throw if nobody is listening for errors
+    if (!EventEmitter.listenerCount(self, 'error')) {
+      return logger.error(error)
+    }
+
+    self.emit('error', error)
+  }
+
+  function getSize(data) {
+    if (typeof data === 'string') return data.length
+
+    return data.byteLength || data.size || 0
+  }
+
+  /**
+   * Send the queued data while the RTCDataChannel buffer is not full
+   */
+  function flush() {
+    while (queue.length && channel.readyState === 'open' && channel
+      .bufferedAmount <= HIGH_WATER_MARK) {
+      var data = queue.shift()
+      queuedAmount -= getSize(data)
+
+      channel.send(data)
+    }
+  }
+
+  function enqueue(data) {
+    queue.push(data)
+    queuedAmount += getSize(data)
+
+    flush()
+  }
+
+  function sendFrame(frame) {
+    enqueue(JSON.stringify(frame))
+  }
+
+  function sendBinary(data) {
+    if (!channel.ordered || channel.maxRetransmits != null || channel
+      .maxPacketLifeTime != null) {
+      throw new Error('Binary messages need a reliable data channel')
+    }
+
+    var bytes = ArrayBuffer.isView(data) ? new Uint8Array(data.buffer, data
+      .byteOffset, data.byteLength) : new Uint8Array(data)
+
+    sendFrame({
+      type: 'binary',
+      size: bytes.byteLength
+    })
+
+    for (var offset = 0; offset < bytes.byteLength; offset += CHUNK_SIZE) {
+      enqueue(bytes.slice(offset, offset + CHUNK_SIZE).buffer)
+    }
+  }
+
+  function onchunk(chunk) {
+    if (!incoming) {
+      return emitError(new Error('Unexpected binary data on data channel "' +
+        channel.label + '"'))
+    }
+
+    chunk = new Uint8Array(chunk)
+
+    if (incoming.offset + chunk.byteLength > incoming.bytes.byteLength) {
+      incoming = undefined
+
+      return emitError(new Error('Binary message bigger than announced on ' +
+        'data channel "' + channel.label + '"'))
+    }
+
+    incoming.bytes.set(chunk, incoming.offset)
+    incoming.offset += chunk.byteLength
+
+    if (incoming.offset === incoming.bytes.byteLength) {
+      var buffer = incoming.bytes.buffer
+      incoming = undefined
+
+      self.emit('message', buffer)
+    }
+  }
+
+  function onrequest(frame) {
+    function respond(error, result) {
+      var response = {
+        type: 'response',
+        id: frame.id
+      }
+
+      if (error) {
+        response.error = error.message || String(error)
+      } else {
+        response.data = result
+      }
+
+      if (channel.readyState === 'open') sendFrame(response)
+    }
+
+    if (!EventEmitter.listenerCount(self, 'request')) {
+      return respond(new Error('There is no request handler'))
+    }
+
+    self.emit('request', frame.data, respond)
+  }
+
+  function onresponse(frame) {
+    var request = requests[frame.id]
+    if (!request) return
+
+    if (frame.error) return request(new Error(frame.error))
+
+    request(null, frame.data)
+  }
+
+  function onmessage(data) {
+    if (!messaging) return self.emit('message', data)
+
+    if (typeof data !== 'string') return onchunk(data)
+
+    var frame
+    try {
+      frame = JSON.parse(data)
+    } catch (error) {
+      return emitError(new Error('Invalid message on data channel "' +
+        channel.label + '"'))
+    }
+
+    switch (frame.type) {
+    case 'message':
+      self.emit('message', frame.data)
+      break
+
+    case 'binary':
+      incoming = {
+        bytes: new Uint8Array(frame.size),
+        offset: 0
+      }
+
+      if (!frame.size) onchunk(new ArrayBuffer(0))
+      break
+
+    case 'request':
+      onrequest(frame)
+      break
+
+    case 'response':
+      onresponse(frame)
+      break
+
+    default:
+      emitError(new Error('Unknown message type "' + frame.type +
+        '" on data channel "' + channel.label + '"'))
+    }
+  }
+
+  function onclose() {
+    queue = []
+    queuedAmount = 0
+    incoming = undefined
+
+    var error = new Error('Data channel "' + channel.label + '" is closed')
+    for (var id in requests) requests[id](error)
+
+    self.emit('close')
+  }
+
+  function flushOrFail() {
+    try {
+      flush()
+    } catch (error) {
+      emitError(error)
+    }
+  }
+
+  channel.addEventListener('open', function () {
+    flushOrFail()
+
+    self.emit('open')
+  })
+  channel.addEventListener('close', onclose)
+  channel.addEventListener('bufferedamountlow', function () {
+    flushOrFail()
+
+    self.emit('bufferedamountlow')
+  })
+  channel.addEventListener('message', function (event) {
+    onmessage(event.data)
+  })
+
+  channel.addEventListener('error', function (event) {
+    emitError(event.error || new Error('Error on data channel "' + channel
+      .label + '"'))
+  })
+
+  /**
+   * Send data over the channel. If it's not open yet, data is queued and sent
+   * when it gets opened.
+   *
+   * @function module:kurentoUtils.WebRtcPeer.DataChannel.prototype.send
+   *
+   * @param data - String, Blob, ArrayBuffer or ArrayBufferView to send. On
+   *  channels with the `messaging` option, any JSON serializable value, but
+   *  not a Blob
+   *
+   * @throws {Error} The data channel is closed
+   */
+  this.send = function (data) {
+    if (channel.readyState === 'closing' || channel.readyState === 'closed') {
+      throw new Error('Data channel "' + channel.label + '" is closed')
+    }
+
+    if (!messaging) return enqueue(data)
+
+    if (typeof Blob !== 'undefined' && data instanceof Blob) {
+      throw new TypeError('Blobs must be read as an ArrayBuffer to be sent')
+    }
+
+    if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+      return sendBinary(data)
+    }
+
+    sendFrame({
+      type: 'message',
+      data: data
+    })
+  }
+
+  /**
+   * Send a request to the remote peer, that will be emitted there in a
+   * `request` event. Only available on channels with the `messaging` option.
+   *
+   * @function module:kurentoUtils.WebRtcPeer.DataChannel.prototype.request
+   *
+   * @param data - Any JSON serializable value
+   * @param {Object} [options]
+   * @param {Number} [options.timeout=10000] Milliseconds to wait for the
+   *  response
+   * @param callback - Invoked with the response, or with an error.
+   *
+   * @return {(Promise|undefined)} If no callback is given, a Promise resolved
+   *  with the response
+   */
+  this.request = function (data, options, callback) {
+    if (options instanceof Function) {
+      callback = options
+      options = undefined
+    }
+
+    if (!callback) return promisify(this.request.bind(this, data, options))
+
+    callback = callback.bind(this)
+
+    if (!messaging) {
+      return callback(new Error('Data channel "' + channel.label +
+        '" has not the messaging option enabled'))
+    }
+
+    var id = ++requestId
+    var timeout = setTimeout(function () {
+      requests[id](new Error('Request ' + id + ' on data channel "' +
+        channel.label + '" timed out'))
+    }, (options && options.timeout) || REQUEST_TIMEOUT)
+
+    requests[id] = function (error, result) {
+      clearTimeout(timeout)
+      delete requests[id]
+
+      callback(error, result)
+    }
+
+    try {
+      if (channel.readyState !== 'connecting' && channel.readyState !==
+        'open') {
+        throw new Error('Data channel "' + channel.label + '" is closed')
+      }
+
+      sendFrame({
+        type: 'request',
+        id: id,
+        data: data
+      })
+    } catch (error) {
+      requests[id](error)
+    }
+  }
+}
+inherits(DataChannel, EventEmitter)
+
+/**
+ * @function module:kurentoUtils.WebRtcPeer.DataChannel.prototype.close
+ */
+DataChannel.prototype.close = function () {
+  this.channel.close()
+}
+
+/**
+ * Get the RTCDataChannelInit options of a data channel, applying its
+ * `reliability` preset ('reliable', 'unordered', 'partial' or 'unreliable')
+ * and its `messaging` option.
+ */
+function getInit(options) {
+  options = options || {}
+
+  var preset = PRESETS[options.reliability || 'reliable']
+  if (!preset) {
+    throw new Error('Unknown reliability preset: ' + options.reliability)
+  }
+
+  var result = merge(true, preset, options)
+  delete result.reliability
+
+  if (result.messaging) result.protocol = MESSAGING_PROTOCOL
+  delete result.messaging
+
+  // Both peers must create negotiated channels with the same id
+  if (result.negotiated && result.id === undefined) {
+    throw new Error('Negotiated data channels need an id')
+  }
+
+  return result
+}
+
+module.exports = DataChannel
+module.exports.getInit = getInit
@@ -0,0 +1,1979 @@
+/*
+ * (C) Copyright 2026 Kurento (http://kurento.org/)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+ * In-process fake of the WebRTC API, to test the code using it on Node.js or
+ * without media devices. It's not part of the main module, but loaded with
+ * `require('kurento-utils/lib/FakeWebRtc')`, and can be injected in WebRtcPeer
+ * with the `webrtc` option or with setWebRtcImplementation.
+ *
+ * It simulates the signaling states, the transceivers and their mids, the
+ * trickle of ICE candidates and the media devices. No media is sent, but two
+ * fake RTCPeerConnections that exchange their SDPs and ICE candidates get
+ * connected to each other: the sent tracks show up on the other side, and
+ * their data channels are opened and deliver their messages.
+ */
+
+var merge = require('merge')
+var uuidv4 = require('uuid/v4')
+
+var splitSections = require('./sdp').splitSections
+
+var DIRECTIONS = ['sendrecv', 'sendonly', 'recvonly', 'inactive']
+
+// Payload types of the codecs put in the SDPs
+var CODECS = {
+  audio: [{
+    payloadType: 111,
+    mimeType: 'audio/opus',
+    clockRate: 48000,
+    channels: 2,
+    sdpFmtpLine: 'minptime=10;useinbandfec=1'
+  }, {
+    payloadType: 0,
+    mimeType: 'audio/PCMU',
+    clockRate: 8000
+  }],
+  video: [{
+    payloadType: 96,
+    mimeType: 'video/VP8',
+    clockRate: 90000
+  }, {
+    payloadType: 97,
+    mimeType: 'video/rtx',
+    clockRate: 90000,
+    sdpFmtpLine: 'apt=96'
+  }, {
+    payloadType: 98,
+    mimeType: 'video/H264',
+    clockRate: 90000,
+    sdpFmtpLine: 'level-asymmetry-allowed=1;packetization-mode=1;' +
+      'profile-level-id=42e01f'
+  }, {
+    payloadType: 99,
+    mimeType: 'video/rtx',
+    clockRate: 90000,
+    sdpFmtpLine: 'apt=98'
+  }]
+}
+
+var DEVICES = [{
+  deviceId: 'fake-camera',
+  kind: 'videoinput',
+  label: 'Fake camera',
+  groupId: 'fake-camera'
+}, {
+  deviceId: 'fake-microphone',
+  kind: 'audioinput',
+  label: 'Fake microphone',
+  groupId: 'fake-audio'
+}, {
+  deviceId: 'fake-speaker',
+  kind: 'audiooutput',
+  label: 'Fake speaker',
+  groupId: 'fake-audio'
+}]
+
+// Fake RTCPeerConnections by the ICE username fragment of their local
+// description, to find the remote peer when connecting
+var peerConnections = {}
+
+var lastPort = 50000
+
+function later(func) {
+  setTimeout(func, 0)
+}
+
+function createError(name, message) {
+  var error = new Error(message)
+  error.name = name
+
+  return error
+}
+
+function copyDevice(device) {
+  return merge({}, device)
+}
+
+function createEvent(type, properties) {
+  return merge({
+    type: type
+  }, properties)
+}
+
+function randomString(length) {
+  return uuidv4().replace(/-/g, '').slice(0, length)
+}
+
+function createFingerprint() {
+  var hash = randomString(32) + randomString(32)
+
+  return hash.toUpperCase().match(/../g).join(':')
+}
+
+function sends(direction) {
+  return direction === 'sendrecv' || direction === 'sendonly'
+}
+
+function receives(direction) {
+  return direction === 'sendrecv' || direction === 'recvonly'
+}
+
+function getDirection(send, receive) {
+  if (send) return receive ? 'sendrecv' : 'sendonly'
+
+  return receive ? 'recvonly' : 'inactive'
+}
+
+/**
+ * Parse the media sections of a SDP
+ */
+function parseSdp(sdp) {
+  if (typeof sdp !== 'string' || sdp.indexOf('v=0') !== 0) {
+    throw createError('OperationError', 'Invalid SDP')
+  }
+
+  var sections = splitSections(sdp)
+  var session = sections.shift().split(/\r?\n/)
+
+  function getValue(lines, name) {
+    var prefix = 'a=' + name + ':'
+
+    for (var i = 0; i < lines.length; i++) {
+      if (lines[i].indexOf(prefix) === 0) return lines[i].slice(prefix.length)
+    }
+  }
+
+  return sections.map(function (section) {
+    var lines = section.split(/\r?\n/)
+
+    var direction = DIRECTIONS.filter(function (direction) {
+      return lines.indexOf('a=' + direction) >= 0
+    })[0]
+
+    var msid = getValue(lines, 'msid')
+
+    var ufrag = getValue(lines, 'ice-ufrag') || getValue(session,
+      'ice-ufrag')
+    if (!ufrag) throw createError('OperationError', 'Missing ICE ufrag')
+
+    return {
+      kind: lines[0].slice(2).split(' ')[0],
+      mid: getValue(lines, 'mid'),
+      direction: direction || 'sendrecv',
+      streamId: msid ? msid.split(' ')[0] : undefined,
+      ufrag: ufrag,
+      candidates: lines.filter(function (line) {
+        return line.indexOf('a=candidate:') === 0
+      }).length
+    }
+  })
+}
+
+/**
+ * Minimal EventTarget, also calling the `on<type>` handlers
+ */
+function FakeEventTarget() {
+  var self = this
+
+  var listeners = {}
+
+  this.addEventListener = function (type, listener) {
+    var list = listeners[type] = listeners[type] || []
+    if (list.indexOf(listener) < 0) list.push(listener)
+  }
+
+  this.removeEventListener = function (type, listener) {
+    var list = listeners[type] || []
+
+    var index = list.indexOf(listener)
+    if (index >= 0) list.splice(index, 1)
+  }
+
+  this.dispatchEvent = function (event) {
+    event.target = self
+
+    var list = (listeners[event.type] || []).slice()
+    list.forEach(function (listener) {
+      listener.call(self, event)
+    })
+
+    var handler = self['on' + event.type]
+    if (handler) handler.call(self, event)
+
+    return true
+  }
+}
+
+/**
+ * @constructor module:kurentoUtils.FakeWebRtc.MediaStreamTrack
+ *
+ * @param {String} kind - 'audio' or 'video'
+ * @param {Object} [settings] - Settings of the track, like its `deviceId`,
+ *  and its `label`
+ */
+function MediaStreamTrack(kind, settings) {
+  FakeEventTarget.call(this)
+
+  var self = this
+
+  settings = merge({}, settings)
+
+  this.id = uuidv4()
+  this.kind = kind
+  this.label = settings.label || ''
+  this.enabled = true
+  this.muted = false
+  this.readyState = 'live'
+  this.contentHint = ''
+
+  delete settings.label
+
+  this.stop = function () {
+    self.readyState = 'ended'
+  }
+
+  this.clone = function () {
+    return new MediaStreamTrack(kind, merge({
+      label: self.label
+    }, settings))
+  }
+
+  this.getSettings = function () {
+    return merge({}, settings)
+  }
+
+  this.getConstraints = function () {
+    return {}
+  }
+
+  this.applyConstraints = function () {
+    return Promise.resolve()
+  }
+}
+
+/**
+ * @constructor module:kurentoUtils.FakeWebRtc.MediaStream
+ *
+ * @param {(MediaStreamTrack[]|MediaStream)} [tracks]
+ */
+function MediaStream(tracks) {
+  FakeEventTarget.call(this)
+
+  if (tracks instanceof MediaStream) tracks = tracks.getTracks()
+  tracks = (tracks || []).slice()
+
+  this.id = uuidv4()
+
+  Object.defineProperty(this, 'active', {
+    get: function () {
+      return tracks.some(function (track) {
+        return track.readyState === 'live'
+      })
+    }
+  })
+
+  function ofKind(kind) {
+    return tracks.filter(function (track) {
+      return track.kind === kind
+    })
+  }
+
+  this.getTracks = function () {
+    return tracks.slice()
+  }
+
+  this.getAudioTracks = ofKind.bind(undefined, 'audio')
+  this.getVideoTracks = ofKind.bind(undefined, 'video')
+
+  this.getTrackById = function (id) {
+    return tracks.filter(function (track) {
+      return track.id === id
+    })[0] || null
+  }
+
+  this.addTrack = function (track) {
+    if (tracks.indexOf(track) < 0) tracks.push(track)
+  }
+
+  this.removeTrack = function (track) {
+    var index = tracks.indexOf(track)
+    if (index >= 0) tracks.splice(index, 1)
+  }
+
+  this.clone = function () {
+    return new MediaStream(tracks.map(function (track) {
+      return track.clone()
+    }))
+  }
+}
+
+/**
+ * @constructor module:kurentoUtils.FakeWebRtc.RTCSessionDescription
+ */
+function RTCSessionDescription(init) {
+  init = init || {}
+
+  this.type = init.type
+  this.sdp = init.sdp || ''
+}
+
+RTCSessionDescription.prototype.toJSON = function () {
+  return {
+    type: this.type,
+    sdp: this.sdp
+  }
+}
+
+/**
+ * @constructor module:kurentoUtils.FakeWebRtc.RTCIceCandidate
+ */
+function RTCIceCandidate(init) {
+  init = init || {}
+
+  if (init.sdpMid == null && init.sdpMLineIndex == null) {
+    throw new TypeError('sdpMid and sdpMLineIndex are both null')
+  }
+
+  this.candidate = init.candidate || ''
+  this.sdpMid = init.sdpMid == null ? null : init.sdpMid
+  this.sdpMLineIndex = init.sdpMLineIndex == null ? null : init.sdpMLineIndex
+
+  var match = / ufrag (\S+)/.exec(this.candidate)
+  this.usernameFragment = init.usernameFragment || (match ? match[1] : null)
+}
+
+RTCIceCandidate.prototype.toJSON = function () {
+  return {
+    candidate: this.candidate,
+    sdpMid: this.sdpMid,
+    sdpMLineIndex: this.sdpMLineIndex,
+    usernameFragment: this.usernameFragment
+  }
+}
+
+/**
+ * @constructor module:kurentoUtils.FakeWebRtc.RTCRtpSender
+ */
+function RTCRtpSender(track, pc, encodings) {
+  var self = this
+
+  var parameters = {
+    encodings: (encodings || [{}]).map(function (encoding) {
+      return merge({
+        active: true
+      }, encoding)
+    })
+  }
+
+  this.track = track || null
+
+  this.replaceTrack = function (track) {
+    if (pc.signalingState === 'closed') {
+      return Promise.reject(createError('InvalidStateError',
+        'The peer connection is closed'))
+    }
+
+    if (track && self.track && track.kind !== self.track.kind) {
+      return Promise.reject(new TypeError('The track is of another kind'))
+    }
+
+    self.track = track || null
+
+    return Promise.resolve()
+  }
+
+  this.getParameters = function () {
+    return merge(true, {
+      transactionId: randomString(8),
+      codecs: [],
+      headerExtensions: [],
+      rtcp: {}
+    }, parameters)
+  }
+
+  this.setParameters = function (newParameters) {
+    if (!newParameters || !newParameters.encodings ||
+      newParameters.encodings.length !== parameters.encodings.length) {
+      return Promise.reject(createError('InvalidModificationError',
+        'The number of encodings can not be changed'))
+    }
+
+    parameters = merge(true, {
+      encodings: newParameters.encodings
+    })
+
+    return Promise.resolve()
+  }
+
+  this.getStats = function () {
+    return pc.getStats()
+  }
+}
+
+/**
+ * @constructor module:kurentoUtils.FakeWebRtc.RTCRtpReceiver
+ */
+function RTCRtpReceiver(kind, pc) {
+  this.track = new MediaStreamTrack(kind, {
+    label: 'remote ' + kind
+  })
+
+  // There is no media until connected to a remote peer sending it
+  this.track.muted = true
+
+  this.getStats = function () {
+    return pc.getStats()
+  }
+}
+
+/**
+ * Codecs supported for a kind of media
+ *
+ * @param {String} kind - 'audio' or 'video'
+ *
+ * @return {(Object|null)}
+ */
+RTCRtpReceiver.getCapabilities = function (kind) {
+  var codecs = CODECS[kind]
+  if (!codecs) return null
+
+  return {
+    codecs: codecs.map(function (codec) {
+      var result = merge({}, codec)
+      delete result.payloadType
+
+      return result
+    }),
+    headerExtensions: []
+  }
+}
+
+/**
+ * @constructor module:kurentoUtils.FakeWebRtc.RTCRtpTransceiver
+ */
+function RTCRtpTransceiver(pc, trackOrKind, init, onchange) {
+  var self = this
+
+  init = init || {}
+
+  var track = typeof trackOrKind === 'string' ? null : trackOrKind
+  var kind = track ? track.kind : trackOrKind
+
+  if (!CODECS[kind]) throw new TypeError('Invalid media kind: ' + kind)
+
+  var direction = init.direction || 'sendrecv'
+  var codecs
+
+  this.mid = null
+  this.currentDirection = null
+  this.stopped = false
+  this.sender = new RTCRtpSender(track, pc, init.sendEncodings)
+  this.receiver = new RTCRtpReceiver(kind, pc)
+
+  Object.defineProperties(this, {
+    'direction': {
+      get: function () {
+        return direction
+      },
+      set: function (value) {
+        if (DIRECTIONS.indexOf(value) < 0) {
+          throw new TypeError('Invalid direction: ' + value)
+        }
+
+        if (value === direction) return
+
+        direction = value
+        onchange()
+      }
+    },
+
+    // Not part of the API, to build the SDPs
+    '_kind': {
+      value: kind
+    },
+    '_streams': {
+      value: init.streams || []
+    },
+    '_codecs': {
+      get: function () {
+        return codecs || CODECS[kind]
+      }
+    }
+  })
+
+  this.setCodecPreferences = function (preferences) {
+    if (!preferences || !preferences.length) {
+      codecs = undefined
+      return
+    }
+
+    codecs = preferences.map(function (preference) {
+      var codec = CODECS[kind].filter(function (codec) {
+        return codec.mimeType.toLowerCase() === preference.mimeType
+          .toLowerCase() && (!preference.sdpFmtpLine || preference
+            .sdpFmtpLine === codec.sdpFmtpLine)
+      })[0]
+
+      if (!codec) {
+        throw createError('InvalidModificationError',
+          'Codec not supported: ' + preference.mimeType)
+      }
+
+      return codec
+    })
+  }
+
+  this.stop = function () {
+    if (self.stopped) return
+
+    self.stopped = true
+    self.currentDirection = 'stopped'
+    direction = 'stopped'
+
+    self.receiver.track.readyState = 'ended'
+
+    onchange()
+  }
+}
+
+/**
+ * @constructor module:kurentoUtils.FakeWebRtc.RTCDataChannel
+ */
+function RTCDataChannel(label, init) {
+  FakeEventTarget.call(this)
+
+  var self = this
+
+  init = init || {}
+
+  var remote
+  var delivery = Promise.resolve()
+
+  this.label = label
+  this.ordered = init.ordered !== false
+  this.maxPacketLifeTime = init.maxPacketLifeTime == null ? null : init
+    .maxPacketLifeTime
+  this.maxRetransmits = init.maxRetransmits == null ? null : init
+    .maxRetransmits
+  this.protocol = init.protocol || ''
+  this.negotiated = !!init.negotiated
+  this.id = init.id == null ? null : init.id
+  this.readyState = 'connecting'
+  this.bufferedAmount = 0
+  this.bufferedAmountLowThreshold = 0
+
+  // Like in Chrome
+  this.binaryType = 'arraybuffer'
+
+  function getSize(data) {
+    if (typeof data === 'string') {
+      return new TextEncoder().encode(data).length
+    }
+
+    return data.byteLength !== undefined ? data.byteLength : data.size
+  }
+
+  function toMessage(data, binaryType) {
+    if (typeof data === 'string') return data
+
+    // Blobs
+    if (data.byteLength === undefined) {
+      return binaryType === 'blob' ? data : data.arrayBuffer()
+    }
+
+    var buffer = ArrayBuffer.isView(data) ? data.buffer.slice(data
+      .byteOffset, data.byteOffset + data.byteLength) : data.slice(0)
+
+    return binaryType === 'blob' ? new Blob([buffer]) : buffer
+  }
+
+  function setClosed() {
+    if (self.readyState === 'closed') return
+
+    self.readyState = 'closed'
+    self.dispatchEvent(createEvent('close'))
+  }
+
+  this.send = function (data) {
+    if (self.readyState !== 'open') {
+      throw createError('InvalidStateError',
+        "RTCDataChannel.readyState is not 'open'")
+    }
+
+    var size = getSize(data)
+    var peer = remote
+
+    self.bufferedAmount += size
+
+    delivery = delivery.then(function () {
+      return new Promise(later)
+    }).then(function () {
+      return toMessage(data, peer.binaryType)
+    }).then(function (message) {
+      var previous = self.bufferedAmount
+      self.bufferedAmount -= size
+
+      if (peer.readyState === 'open') {
+        peer.dispatchEvent(createEvent('message', {
+          data: message
+        }))
+      }
+
+      var threshold = self.bufferedAmountLowThreshold
+      if (previous > threshold && self.bufferedAmount <= threshold) {
+        self.dispatchEvent(createEvent('bufferedamountlow'))
+      }
+    })
+  }
+
+  this.close = function () {
+    if (self.readyState === 'closing' || self.readyState === 'closed') return
+
+    self.readyState = 'closing'
+
+    // Messages already sent are delivered before closing
+    delivery.then(function () {
+      setClosed()
+      if (remote) remote._abort()
+    })
+  }
+
+  // Not part of the API, used by the fake RTCPeerConnections
+  Object.defineProperties(this, {
+    '_paired': {
+      get: function () {
+        return !!remote
+      }
+    },
+    '_pair': {
+      value: function (channel) {
+        remote = channel
+      }
+    },
+    '_open': {
+      value: function () {
+        if (self.readyState !== 'connecting') return
+
+        self.readyState = 'open'
+        self.dispatchEvent(createEvent('open'))
+      }
+    },
+    '_abort': {
+      value: function () {
+        if (self.readyState === 'closing' || self.readyState ===
+          'closed') {
+          return
+        }
+
+        self.readyState = 'closing'
+        later(setClosed)
+
+        if (remote) remote._abort()
+      }
+    }
+  })
+}
+
+/**
+ * Fake media devices, with a camera, a microphone and a speaker by default
+ *
+ * @constructor module:kurentoUtils.FakeWebRtc.MediaDevices
+ *
+ * @param {Object[]} [devices] - Objects with the `deviceId`, `kind`, `label`
+ *  and `groupId` of the devices
+ */
+function MediaDevices(devices) {
+  FakeEventTarget.call(this)
+
+  var self = this
+
+  devices = (devices || DEVICES).map(copyDevice)
+
+  var tracks = []
+
+  function selectDevice(kind, constraints) {
+    var candidates = devices.filter(function (device) {
+      return device.kind === kind
+    })
+
+    var deviceId = constraints.deviceId
+    var exact = deviceId && deviceId.exact
+    if (deviceId && typeof deviceId === 'object') {
+      deviceId = deviceId.exact || deviceId.ideal
+    }
+
+    var device = candidates.filter(function (device) {
+      return device.deviceId === deviceId
+    })[0]
+
+    if (exact && !device) {
+      var error = createError('OverconstrainedError',
+        'There is no device ' + exact)
+      error.constraint = 'deviceId'
+
+      throw error
+    }
+
+    return device || candidates[0]
+  }
+
+  function createTrack(kind, device) {
+    var track = new MediaStreamTrack(kind, {
+      label: device.label,
+      deviceId: device.deviceId,
+      groupId: device.groupId
+    })
+
+    tracks.push(track)
+
+    return track
+  }
+
+  this.enumerateDevices = function () {
+    return Promise.resolve(devices.map(copyDevice))
+  }
+
+  this.getSupportedConstraints = function () {
+    return {
+      deviceId: true,
+      groupId: true,
+      width: true,
+      height: true,
+      frameRate: true
+    }
+  }
+
+  this.getUserMedia = function (constraints) {
+    constraints = constraints || {}
+
+    if (!constraints.audio && !constraints.video) {
+      return Promise.reject(new TypeError(
+        'At least one of audio and video must be requested'))
+    }
+
+    var result = []
+
+    try {
+      ['audio', 'video'].forEach(function (kind) {
+        var constraint = constraints[kind]
+        if (!constraint) return
+
+        var device = selectDevice(kind + 'input', typeof constraint ===
+          'object' ? constraint : {})
+        if (!device) {
+          throw createError('NotFoundError', 'Requested device not found')
+        }
+
+        result.push(createTrack(kind, device))
+      })
+    } catch (error) {
+      return Promise.reject(error)
+    }
+
+    return Promise.resolve(new MediaStream(result))
+  }
+
+  this.getDisplayMedia = function (constraints) {
+    constraints = constraints || {}
+
+    var video = typeof constraints.video === 'object' ? constraints.video : {}
+
+    var result = [new MediaStreamTrack('video', {
+      label: 'screen:0:0',
+      deviceId: 'screen:0:0',
+      displaySurface: video.displaySurface || 'monitor'
+    })]
+
+    if (constraints.audio) {
+      result.push(new MediaStreamTrack('audio', {
+        label: 'System audio'
+      }))
+    }
+
+    return Promise.resolve(new MediaStream(result))
+  }
+
+  /**
+   * Simulate plugging a device
+   *
+   * @param {Object} device
+   */
+  this.addDevice = function (device) {
+    devices.push(copyDevice(device))
+
+    later(function () {
+      self.dispatchEvent(createEvent('devicechange'))
+    })
+  }
+
+  /**
+   * Simulate unplugging a device, ending its tracks
+   *
+   * @param {String} deviceId
+   */
+  this.removeDevice = function (deviceId) {
+    devices = devices.filter(function (device) {
+      return device.deviceId !== deviceId
+    })
+
+    tracks = tracks.filter(function (track) {
+      if (track.getSettings().deviceId !== deviceId) return true
+
+      if (track.readyState === 'live') {
+        track.readyState = 'ended'
+        track.dispatchEvent(createEvent('ended'))
+      }
+    })
+
+    later(function () {
+      self.dispatchEvent(createEvent('devicechange'))
+    })
+  }
+}
+
+/**
+ * @constructor module:kurentoUtils.FakeWebRtc.RTCPeerConnection
+ *
+ * @param {Object} [configuration]
+ */
+function RTCPeerConnection(configuration) {
+  if (!(this instanceof RTCPeerConnection)) {
+    throw new TypeError("Failed to construct 'RTCPeerConnection'")
+  }
+
+  FakeEventTarget.call(this)
+
+  var self = this
+
+  configuration = merge(true, {
+    iceServers: [],
+    iceTransportPolicy: 'all',
+    bundlePolicy: 'balanced',
+    rtcpMuxPolicy: 'require'
+  }, configuration)
+
+  var state = {
+    signalingState: 'stable',
+    iceGatheringState: 'new',
+    iceConnectionState: 'new',
+    connectionState: 'new'
+  }
+
+  var descriptions = {
+    currentLocal: null,
+    pendingLocal: null,
+    currentRemote: null,
+    pendingRemote: null
+  }
+
+  var transceivers = []
+  var channels = []
+  var remoteStreams = {}
+
+  // m-lines of the negotiated SDPs, in order
+  var mlines = []
+  var nextMid = 0
+
+  var sessionId = String(Date.now())
+  var sessionVersion = 0
+  var fingerprint = createFingerprint()
+
+  var credentials = newCredentials()
+  var gatheredCredentials
+  var candidates = []
+  var restartPending = false
+
+  var remoteUfrag
+  var remoteCandidates = 0
+  var remotePeer
+  var connectingTo
+
+  var closed = false
+  var negotiationNeededPending = false
+
+  function newCredentials() {
+    return {
+      ufrag: randomString(8),
+      pwd: randomString(24)
+    }
+  }
+
+  function setState(name, value) {
+    if (state[name] === value) return
+
+    state[name] = value
+    self.dispatchEvent(createEvent(name.toLowerCase() + 'change'))
+  }
+
+  function getLocalDescription() {
+    return descriptions.pendingLocal || descriptions.currentLocal
+  }
+
+  function getRemoteDescription() {
+    return descriptions.pendingRemote || descriptions.currentRemote
+  }
+
+  function defineDescription(name, getter) {
+    Object.defineProperty(self, name, {
+      get: getter
+    })
+  }
+
+  Object.keys(state).forEach(function (name) {
+    Object.defineProperty(self, name, {
+      get: function () {
+        return state[name]
+      }
+    })
+  })
+
+  defineDescription('localDescription', getLocalDescription)
+  defineDescription('remoteDescription', getRemoteDescription)
+  Object.keys(descriptions).forEach(function (name) {
+    defineDescription(name + 'Description', function () {
+      return descriptions[name]
+    })
+  })
+
+  Object.defineProperty(this, 'canTrickleIceCandidates', {
+    get: function () {
+      return getRemoteDescription() ? true : null
+    }
+  })
+
+  function checkOpen() {
+    if (closed) {
+      throw createError('InvalidStateError', 'The peer connection is closed')
+    }
+  }
+
+  // Promise based methods reject instead of throwing
+  function run(func) {
+    return new Promise(function (resolve) {
+      resolve(func())
+    })
+  }
+
+  function findTransceiver(mid) {
+    return transceivers.filter(function (transceiver) {
+      return transceiver.mid === mid
+    })[0]
+  }
+
+  function hasApplication(description) {
+    return !!description && /^m=application /m.test(description.sdp)
+  }
+
+  //
+  // Negotiation needed
+  //
+
+  function isNegotiationNeeded() {
+    var description = descriptions.currentLocal
+
+    if (channels.length && !hasApplication(description)) return true
+
+    var sections = description ? parseSdp(description.sdp) : []
+
+    return transceivers.some(function (transceiver) {
+      if (transceiver.stopped) return transceiver.mid !== null && sections
+        .some(function (section) {
+          return section.mid === transceiver.mid && section
+            .direction !==
+            'inactive'
+        })
+
+      var section = sections.filter(function (section) {
+        return section.mid === transceiver.mid
+      })[0]
+      if (!section) return true
+
+      // The offerer asks for the current direction
+      var direction = transceiver.direction
+      if (description.type === 'answer') {
+        direction = getDirection(sends(direction) && receives(transceiver
+            .currentDirection || 'sendrecv'), receives(direction) &&
+          sends(
+            transceiver.currentDirection || 'sendrecv'))
+      }
+
+      return section.direction !== direction && !(description.type ===
+        'answer' && section.direction === transceiver.currentDirection)
+    })
+  }
+
+  function updateNegotiationNeeded() {
+    if (closed || negotiationNeededPending) return
+
+    negotiationNeededPending = true
+
+    later(function () {
+      negotiationNeededPending = false
+
+      if (closed || state.signalingState !== 'stable') return
+      if (!isNegotiationNeeded()) return
+
+      self.dispatchEvent(createEvent('negotiationneeded'))
+    })
+  }
+
+  //
+  // SDP
+  //
+
+  function writeCodecs(codecs) {
+    var lines = []
+
+    codecs.forEach(function (codec) {
+      var rtpmap = codec.mimeType.split('/')[1] + '/' + codec.clockRate
+      if (codec.channels) rtpmap += '/' + codec.channels
+
+      lines.push('a=rtpmap:' + codec.payloadType + ' ' + rtpmap)
+
+      if (codec.sdpFmtpLine) {
+        lines.push('a=fmtp:' + codec.payloadType + ' ' + codec.sdpFmtpLine)
+      }
+    })
+
+    return lines
+  }
+
+  function writeTransport(lines, iceCredentials, setup, mid) {
+    lines.push('c=IN IP4 0.0.0.0')
+    lines.push('a=ice-ufrag:' + iceCredentials.ufrag)
+    lines.push('a=ice-pwd:' + iceCredentials.pwd)
+    lines.push('a=ice-options:trickle')
+    lines.push('a=fingerprint:sha-256 ' + fingerprint)
+    lines.push('a=setup:' + setup)
+    lines.push('a=mid:' + mid)
+  }
+
+  function writeMediaSection(transceiver, direction, iceCredentials, setup) {
+    var codecs = transceiver._codecs
+    var payloadTypes = codecs.map(function (codec) {
+      return codec.payloadType
+    })
+
+    var lines = ['m=' + transceiver._kind + ' 9 UDP/TLS/RTP/SAVPF ' +
+      payloadTypes.join(' ')
+    ]
+
+    writeTransport(lines, iceCredentials, setup, transceiver.mid)
+    lines.push('a=' + direction)
+
+    var track = transceiver.sender.track
+    if (track && sends(direction)) {
+      var streams = transceiver._streams.length ? transceiver._streams : [
+        null
+      ]
+
+      streams.forEach(function (stream) {
+        lines.push('a=msid:' + (stream ? stream.id : '-') + ' ' + track.id)
+      })
+    }
+
+    lines.push('a=rtcp-mux')
+    lines = lines.concat(writeCodecs(codecs))
+
+    // Simulcast layers
+    var rids = transceiver.sender.getParameters().encodings.map(function (
+      encoding) {
+      return encoding.rid
+    }).filter(Boolean)
+
+    if (rids.length && sends(direction)) {
+      rids.forEach(function (rid) {
+        lines.push('a=rid:' + rid + ' send')
+      })
+      lines.push('a=simulcast:send ' + rids.join(';'))
+    }
+
+    return lines
+  }
+
+  function writeApplicationSection(mid, iceCredentials, setup) {
+    var lines = ['m=application 9 UDP/DTLS/SCTP webrtc-datachannel']
+
+    writeTransport(lines, iceCredentials, setup, mid)
+    lines.push('a=sctp-port:5000')
+    lines.push('a=max-message-size:262144')
+
+    return lines
+  }
+
+  function writeSdp(type, iceCredentials) {
+    var sections = []
+
+    if (type === 'offer') {
+      transceivers.forEach(function (transceiver) {
+        if (transceiver.mid === null && !transceiver.stopped) {
+          transceiver.mid = String(nextMid++)
+          mlines.push(transceiver.mid)
+        }
+      })
+
+      var application = mlines.filter(function (mid) {
+        return !findTransceiver(mid)
+      })[0]
+
+      if (application === undefined && channels.length) {
+        application = String(nextMid++)
+        mlines.push(application)
+      }
+
+      mlines.forEach(function (mid) {
+        var transceiver = findTransceiver(mid)
+
+        if (!transceiver) {
+          sections.push(writeApplicationSection(mid, iceCredentials,
+            'actpass'))
+        } else if (transceiver.stopped) {
+          sections.push(['m=' + transceiver._kind +
+            ' 0 UDP/TLS/RTP/SAVPF 0', 'c=IN IP4 0.0.0.0', 'a=mid:' +
+            mid,
+            'a=inactive'
+          ])
+        } else {
+          sections.push(writeMediaSection(transceiver, transceiver
+            .direction,
+            iceCredentials, 'actpass'))
+        }
+      })
+    } else {
+      parseSdp(getRemoteDescription().sdp).forEach(function (section) {
+        if (section.kind === 'application') {
+          return sections.push(writeApplicationSection(section.mid,
+            iceCredentials, 'active'))
+        }
+
+        var transceiver = findTransceiver(section.mid)
+
+        var direction = getDirection(sends(transceiver.direction) &&
+          receives(section.direction), receives(transceiver.direction) &&
+          sends(section.direction))
+
+        sections.push(writeMediaSection(transceiver, direction,
+          iceCredentials, 'active'))
+      })
+    }
+
+    var mids = sections.map(function (lines) {
+      return lines.filter(function (line) {
+        return line.indexOf('a=mid:') === 0
+      })[0].slice(6)
+    })
+
+    var lines = [
+      'v=0',
+      'o=- ' + sessionId + ' ' + (++sessionVersion) + ' IN IP4 127.0.0.1',
+      's=-',
+      't=0 0'
+    ]
+
+    if (mids.length) lines.push('a=group:BUNDLE ' + mids.join(' '))
+    lines.push('a=msid-semantic: WMS')
+
+    sections.forEach(function (section) {
+      lines = lines.concat(section)
+    })
+
+    return lines.join('\r\n') + '\r\n'
+  }
+
+  /**
+   * Add the gathered candidates to the first media section of a SDP
+   */
+  function addCandidates(sdp) {
+    if (gatheredCredentials !== credentials) return sdp
+
+    var sections = splitSections(sdp)
+    if (sections.length < 2) return sdp
+
+    var lines = candidates.map(function (candidate) {
+      return 'a=' + candidate
+    })
+    lines.push('a=end-of-candidates')
+
+    sections[1] = sections[1].replace(/\r\n$/, '') + '\r\n' + lines.join(
+      '\r\n')
+
+    return sections.join('\r\n').replace(/(\r\n)?$/, '\r\n')
+  }
+
+  //
+  // ICE
+  //
+
+  function gather() {
+    var current = credentials
+    if (gatheredCredentials === current) return
+
+    candidates = []
+
+    later(function () {
+      if (closed || credentials !== current) return
+
+      setState('iceGatheringState', 'gathering')
+
+      var first = parseSdp(getLocalDescription().sdp)[0]
+      var suffix = ' generation 0 ufrag ' + current.ufrag
+
+      candidates = [
+        'candidate:1 1 udp 2122260223 127.0.0.1 ' + (++lastPort) +
+        ' typ host' + suffix,
+        'candidate:2 1 tcp 1518280447 127.0.0.1 ' + (++lastPort) +
+        ' typ host tcptype passive' + suffix
+      ]
+
+      candidates.forEach(function (candidate) {
+        self.dispatchEvent(createEvent('icecandidate', {
+          candidate: new RTCIceCandidate({
+            candidate: candidate,
+            sdpMid: first ? first.mid : '0',
+            sdpMLineIndex: 0,
+            usernameFragment: current.ufrag
+          })
+        }))
+      })
+
+      gatheredCredentials = current
+
+      // The local description gets the gathered candidates
+      var names = ['pendingLocal', 'currentLocal']
+      names.forEach(function (name) {
+        var description = descriptions[name]
+        if (!description) return
+
+        descriptions[name] = new RTCSessionDescription({
+          type: description.type,
+          sdp: addCandidates(description.sdp)
+        })
+      })
+
+      setState('iceGatheringState', 'complete')
+      self.dispatchEvent(createEvent('icecandidate', {
+        candidate: null
+      }))
+    })
+  }
+
+  function isConnected() {
+    return state.iceConnectionState === 'connected'
+  }
+
+  function updateReceivers() {
+    var description = descriptions.currentRemote
+    var sections = description ? parseSdp(description.sdp) : []
+
+    transceivers.forEach(function (transceiver) {
+      var section = sections.filter(function (section) {
+        return section.mid === transceiver.mid
+      })[0]
+
+      var track = transceiver.receiver.track
+
+      var flowing = isConnected() && !transceiver.stopped && !!section &&
+        sends(section.direction) && receives(transceiver.currentDirection ||
+          'inactive')
+
+      if (track.muted !== flowing) return
+
+      track.muted = !flowing
+      track.dispatchEvent(createEvent(flowing ? 'unmute' : 'mute'))
+    })
+  }
+
+  function checkConnection() {
+    if (closed || state.signalingState !== 'stable' || !remoteUfrag) return
+    if (!remoteCandidates) return
+
+    var pair = credentials.ufrag + ':' + remoteUfrag
+    if (connectingTo === pair) return
+
+    connectingTo = pair
+
+    setState('iceConnectionState', 'checking')
+    setState('connectionState', 'connecting')
+
+    later(function () {
+      if (closed || connectingTo !== pair) return
+
+      // Like with an unreachable peer, keep checking
+      var peer = peerConnections[remoteUfrag]
+      if (!peer || peer === self) return
+
+      remotePeer = peer
+
+      setState('iceConnectionState', 'connected')
+      setState('connectionState', 'connected')
+
+      updateReceivers()
+      openChannels()
+      peer._fake.openChannels()
+    })
+  }
+
+  //
+  // Data channels
+  //
+
+  function nextChannelId(peer) {
+    var used = channels.concat(peer._fake.channels).map(function (channel) {
+      return channel.id
+    })
+
+    var id = 0
+    while (used.indexOf(id) >= 0) id++
+
+    return id
+  }
+
+  function openChannels() {
+    var peer = remotePeer
+    if (!peer || !isConnected() || !peer._fake.isConnectedTo(self)) return
+    if (!hasApplication(descriptions.currentLocal)) return
+
+    channels.forEach(function (channel) {
+      if (channel._paired || channel.readyState !== 'connecting') return
+
+      var other
+
+      if (channel.negotiated) {
+        other = peer._fake.channels.filter(function (other) {
+          return other.negotiated && other.id === channel.id && !other
+            ._paired
+        })[0]
+
+        if (!other) return
+      } else {
+        if (channel.id === null) channel.id = nextChannelId(peer)
+
+        other = peer._fake.receiveChannel(channel)
+      }
+
+      channel._pair(other)
+      other._pair(channel)
+
+      later(function () {
+        if (!channel.negotiated) {
+          peer.dispatchEvent(createEvent('datachannel', {
+            channel: other
+          }))
+        }
+
+        other._open()
+        channel._open()
+      })
+    })
+  }
+
+  //
+  // Descriptions
+  //
+
+  /**
+   * Apply the result of a finished negotiation
+   */
+  function applyAnswer() {
+    var local = parseSdp(descriptions.currentLocal.sdp)
+
+    local.forEach(function (section) {
+      var transceiver = findTransceiver(section.mid)
+      if (transceiver && !transceiver.stopped) {
+        transceiver.currentDirection = section.direction
+      }
+    })
+
+    updateReceivers()
+    openChannels()
+    if (remotePeer) remotePeer._fake.openChannels()
+
+    updateNegotiationNeeded()
+  }
+
+  function adoptCredentials(description) {
+    var section = parseSdp(description.sdp)[0]
+    if (!section || section.ufrag === credentials.ufrag) return
+
+    if (peerConnections[credentials.ufrag] === self) {
+      delete peerConnections[credentials.ufrag]
+    }
+
+    credentials = {
+      ufrag: section.ufrag,
+      pwd: /^a=ice-pwd:(\S+)/m.exec(description.sdp)[1]
+    }
+  }
+
+  function setLocalDescription(description) {
+    checkOpen()
+
+    description = description || {}
+
+    var signalingState = state.signalingState
+    var type = description.type || (signalingState === 'have-remote-offer' ?
+      'answer' : 'offer')
+
+    if (type === 'rollback') {
+      if (signalingState !== 'have-local-offer') {
+        throw createError('InvalidStateError',
+          'Called in wrong state: ' + signalingState)
+      }
+
+      descriptions.pendingLocal = null
+      setState('signalingState', 'stable')
+
+      return updateNegotiationNeeded()
+    }
+
+    var offer = type === 'offer'
+    if (offer && signalingState !== 'stable' && signalingState !==
+      'have-local-offer') {
+      throw createError('InvalidStateError',
+        'Failed to set local offer sdp: Called in wrong state: ' +
+        signalingState)
+    }
+    if (!offer && signalingState !== 'have-remote-offer') {
+      throw createError('InvalidStateError',
+        'Failed to set local answer sdp: Called in wrong state: ' +
+        signalingState)
+    }
+
+    var sdp = description.sdp || writeSdp(type, offer && restartPending ?
+      newCredentials() : credentials)
+
+    description = new RTCSessionDescription({
+      type: type,
+      sdp: sdp
+    })
+
+    adoptCredentials(description)
+    if (offer) restartPending = false
+
+    peerConnections[credentials.ufrag] = self
+
+    description = new RTCSessionDescription({
+      type: type,
+      sdp: addCandidates(sdp)
+    })
+
+    if (offer) {
+      descriptions.pendingLocal = description
+      setState('signalingState', 'have-local-offer')
+    } else {
+      descriptions.currentLocal = description
+      descriptions.currentRemote = descriptions.pendingRemote
+      descriptions.pendingRemote = null
+
+      setState('signalingState', 'stable')
+      applyAnswer()
+    }
+
+    gather()
+    checkConnection()
+  }
+
+  function processRemoteTracks(sections) {
+    sections.forEach(function (section) {
+      var transceiver = findTransceiver(section.mid)
+      if (!transceiver || transceiver.stopped) return
+
+      var track = transceiver.receiver.track
+      var receiving = transceiver._receiving
+
+      if (sends(section.direction) && !receiving) {
+        var streams = []
+
+        if (section.streamId && section.streamId !== '-') {
+          var stream = remoteStreams[section.streamId]
+          if (!stream) {
+            stream = remoteStreams[section.streamId] = new MediaStream()
+            stream.id = section.streamId
+          }
+
+          if (stream.getTracks().indexOf(track) < 0) {
+            stream.addTrack(track)
+            stream.dispatchEvent(createEvent('addtrack', {
+              track: track
+            }))
+          }
+
+          streams.push(stream)
+        }
+
+        transceiver._receiving = streams
+
+        self.dispatchEvent(createEvent('track', {
+          track: track,
+          streams: streams,
+          receiver: transceiver.receiver,
+          transceiver: transceiver
+        }))
+      } else if (!sends(section.direction) && receiving) {
+        delete transceiver._receiving
+
+        receiving.forEach(function (stream) {
+          stream.removeTrack(track)
+          stream.dispatchEvent(createEvent('removetrack', {
+            track: track
+          }))
+        })
+      }
+    })
+  }
+
+  function setRemoteDescription(description) {
+    checkOpen()
+
+    if (!description || !description.type) {
+      throw new TypeError('The description type is required')
+    }
+
+    var type = description.type
+    var signalingState = state.signalingState
+
+    // Implicit rollback of the local offer
+    if (type === 'offer' && signalingState === 'have-local-offer') {
+      descriptions.pendingLocal = null
+      setState('signalingState', 'stable')
+      signalingState = 'stable'
+    }
+
+    if (type === 'offer' && signalingState !== 'stable' && signalingState !==
+      'have-remote-offer') {
+      throw createError('InvalidStateError',
+        'Failed to set remote offer sdp: Called in wrong state: ' +
+        signalingState)
+    }
+    if (type === 'answer' && signalingState !== 'have-local-offer') {
+      throw createError('InvalidStateError',
+        'Failed to set remote answer sdp: Called in wrong state: ' +
+        signalingState)
+    }
+    if (type !== 'offer' && type !== 'answer') {
+      throw createError('OperationError', 'Unsupported type: ' + type)
+    }
+
+    var sections = parseSdp(description.sdp)
+
+    if (type === 'offer') {
+      sections.forEach(function (section) {
+        if (section.kind === 'application') {
+          if (mlines.indexOf(section.mid) < 0) mlines.push(section.mid)
+          return
+        }
+
+        if (findTransceiver(section.mid)) return
+
+        // Transceivers of the added tracks are reused
+        var transceiver = transceivers.filter(function (transceiver) {
+          return transceiver.mid === null && !transceiver.stopped &&
+            transceiver._kind === section.kind && transceiver._addTrack
+        })[0]
+
+        if (!transceiver) {
+          transceiver = createTransceiver(section.kind, {
+            direction: 'recvonly'
+          })
+        }
+
+        transceiver.mid = section.mid
+        if (mlines.indexOf(section.mid) < 0) mlines.push(section.mid)
+      })
+
+      var mids = sections.map(function (section) {
+        return Number(section.mid)
+      }).filter(function (mid) {
+        return !isNaN(mid)
+      })
+      nextMid = Math.max.apply(Math, [nextMid - 1].concat(mids)) + 1
+    }
+
+    var ufrag = sections.length ? sections[0].ufrag : undefined
+    if (ufrag !== remoteUfrag) {
+      remoteUfrag = ufrag
+      remoteCandidates = 0
+    }
+
+    sections.forEach(function (section) {
+      remoteCandidates += section.candidates
+    })
+
+    description = new RTCSessionDescription(description)
+
+    if (type === 'offer') {
+      descriptions.pendingRemote = description
+      setState('signalingState', 'have-remote-offer')
+    } else {
+      descriptions.currentRemote = description
+      descriptions.currentLocal = descriptions.pendingLocal
+      descriptions.pendingLocal = null
+    }
+
+    processRemoteTracks(sections)
+
+    if (type === 'answer') {
+      setState('signalingState', 'stable')
+      applyAnswer()
+    }
+
+    checkConnection()
+  }
+
+  function createTransceiver(trackOrKind, init) {
+    var transceiver = new RTCRtpTransceiver(self, trackOrKind, init,
+      updateNegotiationNeeded)
+
+    transceivers.push(transceiver)
+    updateNegotiationNeeded()
+
+    return transceiver
+  }
+
+  //
+  // API
+  //
+
+  this.getConfiguration = function () {
+    return merge(true, configuration)
+  }
+
+  this.setConfiguration = function (newConfiguration) {
+    checkOpen()
+
+    configuration = merge(true, configuration, newConfiguration)
+  }
+
+  this.createOffer = function (options) {
+    return run(function () {
+      checkOpen()
+
+      options = options || {}
+
+      // Legacy options, adding transceivers to receive media
+      var receive = {
+        audio: options.offerToReceiveAudio,
+        video: options.offerToReceiveVideo
+      }
+
+      Object.keys(receive).forEach(function (kind) {
+        if (!receive[kind]) return
+
+        var exists = transceivers.some(function (transceiver) {
+          return transceiver._kind === kind && !transceiver
+            .stopped
+        })
+        if (!exists) {
+          createTransceiver(kind, {
+            direction: 'recvonly'
+          })
+        }
+      })
+
+      if (options.iceRestart) restartPending = true
+
+      return new RTCSessionDescription({
+        type: 'offer',
+        sdp: writeSdp('offer', restartPending ? newCredentials() :
+          credentials)
+      })
+    })
+  }
+
+  this.createAnswer = function () {
+    return run(function () {
+      checkOpen()
+
+      if (state.signalingState !== 'have-remote-offer') {
+        throw createError('InvalidStateError',
+          'Failed to create answer: Called in wrong state: ' + state
+          .signalingState)
+      }
+
+      return new RTCSessionDescription({
+        type: 'answer',
+        sdp: writeSdp('answer', credentials)
+      })
+    })
+  }
+
+  this.setLocalDescription = function (description) {
+    return run(setLocalDescription.bind(undefined, description))
+  }
+
+  this.setRemoteDescription = function (description) {
+    return run(setRemoteDescription.bind(undefined, description))
+  }
+
+  this.addIceCandidate = function (candidate) {
+    return run(function () {
+      checkOpen()
+
+      if (!getRemoteDescription()) {
+        throw createError('InvalidStateError',
+          'The remote description was null')
+      }
+
+      // End-of-candidates
+      if (!candidate || !candidate.candidate) return
+
+      if (candidate.sdpMid == null && candidate.sdpMLineIndex == null) {
+        throw new TypeError('sdpMid and sdpMLineIndex are both null')
+      }
+
+      candidate = new RTCIceCandidate(candidate)
+
+      if (candidate.usernameFragment && candidate.usernameFragment !==
+        remoteUfrag) {
+        throw createError('OperationError',
+          'The ICE candidate has an unknown ufrag')
+      }
+
+      var fields = candidate.candidate.replace(/^candidate:/, '').split(
+        ' ')
+      if (fields.length < 8) {
+        throw createError('OperationError', 'Invalid ICE candidate')
+      }
+
+      remoteCandidates++
+      checkConnection()
+    })
+  }
+
+  this.restartIce = function () {
+    restartPending = true
+    connectingTo = undefined
+
+    self.dispatchEvent(createEvent('negotiationneeded'))
+  }
+
+  this.addTrack = function (track) {
+    checkOpen()
+
+    var streams = Array.prototype.slice.call(arguments, 1)
+
+    var exists = transceivers.some(function (transceiver) {
+      return transceiver.sender.track === track
+    })
+    if (exists) {
+      throw createError('InvalidAccessError', 'The track is already added')
+    }
+
+    // Transceivers without a track to send are reused
+    var transceiver = transceivers.filter(function (transceiver) {
+      return !transceiver.stopped && !transceiver.sender.track &&
+        transceiver._kind === track.kind && !transceiver._sent
+    })[0]
+
+    if (transceiver) {
+      transceiver.sender.track = track
+      transceiver._streams.splice(0, Infinity)
+      Array.prototype.push.apply(transceiver._streams, streams)
+
+      transceiver.direction = getDirection(true, receives(transceiver
+        .direction))
+    } else {
+      transceiver = createTransceiver(track, {
+        streams: streams
+      })
+
+      Object.defineProperty(transceiver, '_addTrack', {
+        value: true
+      })
+    }
+
+    transceiver._sent = true
+
+    return transceiver.sender
+  }
+
+  this.removeTrack = function (sender) {
+    checkOpen()
+
+    transceivers.forEach(function (transceiver) {
+      if (transceiver.sender !== sender || !sender.track) return
+
+      sender.track = null
+      transceiver.direction = getDirection(false, receives(transceiver
+        .direction))
+    })
+  }
+
+  this.addTransceiver = function (trackOrKind, init) {
+    checkOpen()
+
+    init = init || {}
+
+    var transceiver = createTransceiver(trackOrKind, init)
+    if (typeof trackOrKind !== 'string') transceiver._sent = true
+
+    return transceiver
+  }
+
+  this.getTransceivers = function () {
+    return transceivers.slice()
+  }
+
+  this.getSenders = function () {
+    return transceivers.filter(function (transceiver) {
+      return !transceiver.stopped
+    }).map(function (transceiver) {
+      return transceiver.sender
+    })
+  }
+
+  this.getReceivers = function () {
+    return transceivers.filter(function (transceiver) {
+      return !transceiver.stopped
+    }).map(function (transceiver) {
+      return transceiver.receiver
+    })
+  }
+
+  this.createDataChannel = function (label, init) {
+    checkOpen()
+
+    init = init || {}
+
+    if (init.negotiated && init.id == null) {
+      throw new TypeError('Negotiated data channels need an id')
+    }
+
+    var channel = new RTCDataChannel(label, init)
+    channels.push(channel)
+
+    if (channels.length === 1 && !hasApplication(descriptions.currentLocal)) {
+      updateNegotiationNeeded()
+    }
+
+    later(openChannels)
+
+    return channel
+  }
+
+  this.getStats = function () {
+    var opened = channels.filter(function (channel) {
+      return channel.readyState !== 'connecting'
+    }).length
+
+    var closedChannels = channels.filter(function (channel) {
+      return channel.readyState === 'closed'
+    }).length
+
+    return Promise.resolve(new Map([
+      ['P', {
+        id: 'P',
+        type: 'peer-connection',
+        timestamp: Date.now(),
+        dataChannelsOpened: opened,
+        dataChannelsClosed: closedChannels
+      }]
+    ]))
+  }
+
+  this.close = function () {
+    if (closed) return
+
+    closed = true
+
+    state.signalingState = 'closed'
+    state.iceConnectionState = 'closed'
+    state.connectionState = 'closed'
+
+    transceivers.forEach(function (transceiver) {
+      transceiver.stopped = true
+      transceiver.currentDirection = 'stopped'
+      transceiver.receiver.track.readyState = 'ended'
+    })
+
+    channels.forEach(function (channel) {
+      channel._abort()
+    })
+
+    if (peerConnections[credentials.ufrag] === self) {
+      delete peerConnections[credentials.ufrag]
+    }
+
+    // The remote peer may have connected before this one did
+    var peer = remotePeer || peerConnections[remoteUfrag]
+    remotePeer = undefined
+
+    if (peer && peer !== self) peer._fake.disconnect(self)
+  }
+
+  // Not part of the API, used by the fake RTCPeerConnection connected to
+  // this one
+  Object.defineProperty(this, '_fake', {
+    value: {
+      channels: channels,
+
+      openChannels: openChannels,
+
+      isConnectedTo: function (peer) {
+        return remotePeer === peer && isConnected()
+      },
+
+      receiveChannel: function (channel) {
+        var result = new RTCDataChannel(channel.label, {
+          ordered: channel.ordered,
+          maxPacketLifeTime: channel.maxPacketLifeTime,
+          maxRetransmits: channel.maxRetransmits,
+          protocol: channel.protocol,
+          id: channel.id
+        })
+
+        channels.push(result)
+
+        return result
+      },
+
+      disconnect: function (peer) {
+        if (remotePeer !== peer) return
+
+        remotePeer = undefined
+        connectingTo = undefined
+
+        later(function () {
+          if (closed) return
+
+          setState('iceConnectionState', 'disconnected')
+          setState('connectionState', 'disconnected')
+
+          updateReceivers()
+        })
+      }
+    }
+  })
+}
+
+/**
+ * Default fake media devices
+ *
+ * @member {module:kurentoUtils.FakeWebRtc.MediaDevices} mediaDevices
+ */
+exports.mediaDevices = new MediaDevices()
+
+exports.MediaDevices = MediaDevices
+exports.MediaStream = MediaStream
+exports.MediaStreamTrack = MediaStreamTrack
+exports.RTCDataChannel = RTCDataChannel
+exports.RTCIceCandidate = RTCIceCandidate
+exports.RTCPeerConnection = RTCPeerConnection
+exports.RTCRtpReceiver = RTCRtpReceiver
+exports.RTCRtpSender = RTCRtpSender
+exports.RTCRtpTransceiver = RTCRtpTransceiver
+exports.RTCSessionDescription = RTCSessionDescription
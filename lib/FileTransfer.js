@@ -0,0 +1,618 @@
+/*
+ * (C) Copyright 2026 Kurento (http://kurento.org/)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+ * File transfer over data channels. Files are sent one after another on each
+ * data channel, in chunks that are acknowledged by the receiver, so transfers
+ * interrupted by the closing of the channel can be resumed from the last
+ * acknowledged chunk when a channel with the same label is opened again.
+ *
+ * Control messages are sent as JSON strings, and chunks as ArrayBuffers:
+ *
+ *  sender                          receiver
+ *    {type: 'offer', id, name...}  ->
+ *                                  <- {type: 'accept', id, offset}
+ *    chunk                         ->
+ *                                  <- {type: 'ack', id, offset}
+ *    ...
+ *    {type: 'end', id, checksum}   ->
+ *                                  <- {type: 'complete', id}
+ *
+ * Both peers can send a `cancel` message at any moment, and the receiver sends
+ * an `error` one if the checksum of the file doesn't match.
+ */
+
+var inherits = require('inherits')
+var uuidv4 = require('uuid/v4')
+var createLogger = require('./logger').createLogger
+var getWebRtc = require('./webrtc').getWebRtc
+
+var EventEmitter = require('events').EventEmitter
+
+var logger = createLogger()
+
+// Subprotocol of the data channels used to transfer files
+var PROTOCOL = 'kurento-utils-file-transfer'
+
+var DEFAULT_LABEL = 'files'
+
+var CHUNK_SIZE = 16 * 1024
+
+// Bytes buffered on the data channel before waiting for it to drain
+var BUFFER_LIMIT = 1024 * 1024
+
+var CRC_TABLE = []
+for (var n = 0; n < 256; n++) {
+  var c = n
+  for (var k = 0; k < 8; k++) c = (c & 1) ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+  CRC_TABLE[n] = c
+}
+
+/**
+ * Update a CRC-32 checksum with a chunk of data
+ *
+ * @param {ArrayBuffer} buffer
+ * @param {Number} [crc] - Checksum of the previous chunks
+ *
+ * @return {Number}
+ */
+function crc32(buffer, crc) {
+  var bytes = new Uint8Array(buffer)
+
+  crc = (crc === undefined ? 0 : crc) ^ -1
+  for (var i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8)
+  }
+
+  return (crc ^ -1) >>> 0
+}
+
+function readChunk(blob, webrtc) {
+  if (blob.arrayBuffer) return blob.arrayBuffer()
+
+  return new Promise(function (resolve, reject) {
+    var reader = new webrtc.FileReader()
+
+    reader.onload = function () {
+      resolve(reader.result)
+    }
+    reader.onerror = function () {
+      reject(reader.error)
+    }
+
+    reader.readAsArrayBuffer(blob)
+  })
+}
+
+function createFile(chunks, transfer, webrtc) {
+  var options = {
+    type: transfer.type
+  }
+
+  if (typeof webrtc.File === 'function') {
+    options.lastModified = transfer.lastModified
+
+    try {
+      return new webrtc.File(chunks, transfer.name, options)
+    } catch (e) {
+      // Old browsers don't have a File constructor
+    }
+  }
+
+  return new webrtc.Blob(chunks, options)
+}
+
+/**
+ * A file being sent or received over a data channel. It emits `progress`
+ * events with the number of bytes acknowledged by the receiver and the size of
+ * the file, `pause` when its data channel gets closed and `resume` when the
+ * transfer continues on a new one, and ends with an `end` event (with the
+ * received File, on the receiver), `cancel` or `error`.
+ *
+ * @constructor module:kurentoUtils.WebRtcPeer.FileTransfer
+ *
+ * @param {Object} info - `id`, `name`, `size`, `type` and `lastModified` of
+ *  the file
+ * @param {String} direction - 'outgoing' or 'incoming'
+ * @param {Function} oncancel - Invoked when the transfer is cancelled locally
+ */
+function FileTransfer(info, direction, oncancel) {
+  FileTransfer.super_.call(this)
+
+  this.id = info.id
+  this.name = info.name
+  this.size = info.size
+  this.type = info.type
+  this.lastModified = info.lastModified
+
+  this.direction = direction
+
+  /**
+   * 'pending', 'transferring', 'paused', 'completed', 'cancelled' or 'failed'
+   *
+   * @member {String} state
+   */
+  this.state = 'pending'
+  this.bytesTransferred = 0
+
+  this._oncancel = oncancel
+  this._logger = logger
+}
+inherits(FileTransfer, EventEmitter)
+
+/**
+ * Cancel the transfer on both peers
+ *
+ * @function module:kurentoUtils.WebRtcPeer.FileTransfer.prototype.cancel
+ */
+FileTransfer.prototype.cancel = function () {
+  if (this.finished) return
+
+  this._finish('cancelled')
+  this._oncancel()
+
+  this.emit('cancel')
+}
+
+Object.defineProperty(FileTransfer.prototype, 'finished', {
+  get: function () {
+    return ['completed', 'cancelled', 'failed'].indexOf(this.state) >= 0
+  }
+})
+
+FileTransfer.prototype._finish = function (state) {
+  this.state = state
+
+  var callback = this._callback
+  if (!callback) return
+
+  if (state === 'cancelled') {
+    return callback(new Error('Transfer of file "' + this.name +
+      '" cancelled'))
+  }
+
+  callback(state === 'failed' ? this._error : null)
+}
+
+FileTransfer.prototype._fail = function (error) {
+  if (this.finished) return
+
+  this._error = error
+  this._finish('failed')
+
+  // Don't throw if nobody is listening for errors
+  if (!EventEmitter.listenerCount(this, 'error')) {
+    return this._logger.error(error)
+  }
+
+  this.emit('error', error)
+}
+
+FileTransfer.prototype._progress = function (bytes) {
+  this.bytesTransferred = bytes
+
+  this.emit('progress', bytes, this.size)
+}
+
+/**
+ * Send and receive files over the data channels of a WebRtcPeer
+ *
+ * @param {Function} onfile - Invoked with the incoming transfers
+ * @param {Object} [options]
+ * @param {Object} [options.webrtc] - WebRTC implementation, by default the
+ *  one set with setWebRtcImplementation
+ * @param {Object} [options.logger] - Logger of the transfers, like the one of
+ *  the WebRtcPeer
+ */
+function FileTransfers(onfile, options) {
+  options = options || {}
+
+  var webrtc = options.webrtc || getWebRtc()
+  var logger = options.logger || createLogger()
+
+  var channels = {}
+
+  // Outgoing transfers of each data channel, sent in order
+  var outgoing = {}
+
+  // Incoming transfers, kept while paused to be resumed later
+  var incoming = {}
+  var receiving = {}
+
+  function sendControl(label, message) {
+    var channel = channels[label]
+
+    if (channel && channel.readyState === 'open') {
+      channel.send(JSON.stringify(message))
+    }
+  }
+
+  function getCurrent(label, id) {
+    var transfer = (outgoing[label] || [])[0]
+    if (transfer && transfer.id === id) return transfer
+  }
+
+  function next(label) {
+    var queue = outgoing[label]
+    if (!queue) return
+
+    while (queue.length && queue[0].finished) queue.shift()
+
+    var transfer = queue[0]
+    var channel = channels[label]
+
+    if (!transfer || !channel || channel.readyState !== 'open') return
+
+    // Offer each transfer only once on each channel
+    if (transfer.channel === channel) return
+    transfer.channel = channel
+
+    if (transfer.state === 'paused') transfer.emit('resume')
+    transfer.state = 'pending'
+
+    sendControl(label, {
+      type: 'offer',
+      id: transfer.id,
+      name: transfer.name,
+      size: transfer.size,
+      mimeType: transfer.type,
+      lastModified: transfer.lastModified
+    })
+  }
+
+  function pump(label, transfer) {
+    if (transfer.reading || transfer.state !== 'transferring') return
+
+    if (transfer.channel.bufferedAmount >= BUFFER_LIMIT) return
+
+    var offset = transfer.sent
+    if (offset >= transfer.size) {
+      if (transfer.ended) return
+      transfer.ended = true
+
+      return sendControl(label, {
+        type: 'end',
+        id: transfer.id,
+        checksum: transfer.checksums[transfer.checksums.length - 1] || 0
+      })
+    }
+
+    transfer.reading = true
+
+    var chunk = transfer.file.slice(offset, offset + CHUNK_SIZE)
+
+    readChunk(chunk, webrtc).then(function (buffer) {
+      transfer.reading = false
+
+      // The transfer got paused or cancelled while reading
+      if (transfer.state !== 'transferring' || transfer.sent !== offset) {
+        return pump(label, transfer)
+      }
+
+      var checksums = transfer.checksums
+      checksums.push(crc32(buffer, checksums[checksums.length - 1]))
+
+      transfer.channel.send(buffer)
+      transfer.sent += buffer.byteLength
+
+      pump(label, transfer)
+    }, function (error) {
+      transfer.reading = false
+
+      sendControl(label, {
+        type: 'cancel',
+        id: transfer.id
+      })
+
+      transfer._fail(error)
+      next(label)
+    })
+  }
+
+  function onaccept(label, message) {
+    var transfer = getCurrent(label, message.id)
+    if (!transfer || transfer.state !== 'pending') return
+
+    // Resume from the last chunk acknowledged by the receiver
+    transfer.sent = Math.min(message.offset || 0, transfer.sent)
+    transfer.checksums.length = Math.ceil(transfer.sent / CHUNK_SIZE)
+    transfer.ended = false
+    transfer.state = 'transferring'
+
+    pump(label, transfer)
+  }
+
+  function onoffer(label, message) {
+    var transfer = incoming[message.id]
+
+    if (transfer) {
+      transfer.emit('resume')
+    } else {
+      transfer = new FileTransfer({
+        id: message.id,
+        name: message.name,
+        size: message.size,
+        type: message.mimeType,
+        lastModified: message.lastModified
+      }, 'incoming', function () {
+        delete incoming[transfer.id]
+
+        sendControl(transfer.label, {
+          type: 'cancel',
+          id: transfer.id
+        })
+      })
+
+      transfer._logger = logger
+      transfer.chunks = []
+      transfer.label = label
+
+      incoming[transfer.id] = transfer
+
+      onfile(transfer)
+      if (transfer.finished) return
+    }
+
+    transfer.label = label
+    transfer.state = 'transferring'
+    receiving[label] = transfer
+
+    sendControl(label, {
+      type: 'accept',
+      id: transfer.id,
+      offset: transfer.bytesTransferred
+    })
+  }
+
+  function onchunk(label, buffer) {
+    var transfer = receiving[label]
+    if (!transfer || transfer.state !== 'transferring') return
+
+    transfer.checksum = crc32(buffer, transfer.checksum)
+    transfer.chunks.push(buffer)
+
+    var bytes = transfer.bytesTransferred + buffer.byteLength
+
+    sendControl(label, {
+      type: 'ack',
+      id: transfer.id,
+      offset: bytes
+    })
+
+    transfer._progress(bytes)
+  }
+
+  function onend(label, message) {
+    var transfer = incoming[message.id]
+    if (!transfer || transfer.state !== 'transferring') return
+
+    delete incoming[transfer.id]
+    delete receiving[label]
+
+    if (transfer.bytesTransferred !== transfer.size || (transfer.checksum ||
+        0) !== message.checksum) {
+      sendControl(label, {
+        type: 'error',
+        id: transfer.id,
+        message: 'Checksum mismatch'
+      })
+
+      return transfer._fail(new Error('File "' + transfer.name +
+        '" is corrupted'))
+    }
+
+    sendControl(label, {
+      type: 'complete',
+      id: transfer.id
+    })
+
+    var file = createFile(transfer.chunks, transfer, webrtc)
+    delete transfer.chunks
+
+    transfer._finish('completed')
+    transfer.emit('end', file)
+  }
+
+  function oncontrol(label, message) {
+    var transfer = getCurrent(label, message.id)
+
+    switch (message.type) {
+    case 'offer':
+      onoffer(label, message)
+      break
+
+    case 'accept':
+      onaccept(label, message)
+      break
+
+    case 'ack':
+      if (transfer && message.offset > transfer.bytesTransferred) {
+        transfer._progress(message.offset)
+        pump(label, transfer)
+      }
+      break
+
+    case 'end':
+      onend(label, message)
+      break
+
+    case 'complete':
+      if (transfer && !transfer.finished) {
+        transfer._finish('completed')
+        transfer.emit('end')
+
+        next(label)
+      }
+      break
+
+    case 'cancel':
+      transfer = transfer || incoming[message.id]
+      if (transfer && !transfer.finished) {
+        delete incoming[message.id]
+
+        transfer._finish('cancelled')
+        transfer.emit('cancel')
+
+        next(label)
+      }
+      break
+
+    case 'error':
+      if (transfer) {
+        transfer._fail(new Error('File "' + transfer.name +
+          '" was not received: ' + message.message))
+
+        next(label)
+      }
+      break
+
+    default:
+      logger.warn('Unknown file transfer message "' + message.type + '"')
+    }
+  }
+
+  function onclose(label) {
+    delete channels[label]
+    delete receiving[label]
+
+    function pause(transfer) {
+      if (transfer.label === label && !transfer.finished && transfer
+        .state !== 'paused') {
+        transfer.state = 'paused'
+        transfer.emit('pause')
+      }
+    }
+
+    var transfer = (outgoing[label] || [])[0]
+    if (transfer) pause(transfer)
+
+    for (var id in incoming) pause(incoming[id])
+  }
+
+  /**
+   * Send and receive files over a data channel, resuming its paused transfers
+   *
+   * @param {module:kurentoUtils.WebRtcPeer.DataChannel} channel
+   */
+  this.addChannel = function (channel) {
+    var label = channel.label
+
+    // Chunks must be received as ArrayBuffers to compute their checksums, also
+    // on the channels created by the remote peer
+    channel.channel.binaryType = 'arraybuffer'
+
+    channels[label] = channel
+
+    channel.on('open', next.bind(undefined, label))
+    channel.on('close', function () {
+      if (channels[label] === channel) onclose(label)
+    })
+    channel.on('bufferedamountlow', function () {
+      var transfer = (outgoing[label] || [])[0]
+      if (transfer) pump(label, transfer)
+    })
+
+    channel.on('message', function (data) {
+      if (typeof data !== 'string') return onchunk(label, data)
+
+      var message
+      try {
+        message = JSON.parse(data)
+      } catch (error) {
+        return logger.warn('Invalid file transfer message')
+      }
+
+      oncontrol(label, message)
+    })
+
+    next(label)
+  }
+
+  /**
+   * Send a file over the data channel with the given label. It's sent after
+   * the previous files sent over the same channel.
+   *
+   * @param {(File|Blob)} file
+   * @param {String} label
+   * @param {Function} [callback]
+   * @param {Error} [error] - The file can't be sent, fail the transfer with it
+   *
+   * @return {module:kurentoUtils.WebRtcPeer.FileTransfer}
+   */
+  this.send = function (file, label, callback, error) {
+    var transfer = new FileTransfer({
+      id: uuidv4(),
+      name: file.name || 'blob',
+      size: file.size,
+      type: file.type,
+      lastModified: file.lastModified
+    }, 'outgoing', function () {
+      sendControl(label, {
+        type: 'cancel',
+        id: transfer.id
+      })
+
+      next(label)
+    })
+
+    transfer._logger = logger
+    transfer.file = file
+    transfer.label = label
+    transfer.sent = 0
+    transfer.checksums = []
+    transfer._callback = callback
+
+    if (error) {
+      // Fail it asynchronously, so the caller can listen to its events
+      Promise.resolve().then(transfer._fail.bind(transfer, error))
+
+      return transfer
+    }
+
+    var queue = outgoing[label] = outgoing[label] || []
+    queue.push(transfer)
+
+    if (queue.length === 1) next(label)
+
+    return transfer
+  }
+
+  /**
+   * Fail all the transfers that are not finished
+   */
+  this.close = function () {
+    var error = new Error('The WebRtcPeer has been disposed')
+
+    function fail(transfer) {
+      transfer._fail(error)
+    }
+
+    for (var label in outgoing) outgoing[label].forEach(fail)
+    for (var id in incoming) fail(incoming[id])
+
+    channels = {}
+    outgoing = {}
+    incoming = {}
+    receiving = {}
+  }
+}
+
+module.exports = FileTransfers
+module.exports.FileTransfer = FileTransfer
+module.exports.PROTOCOL = PROTOCOL
+module.exports.DEFAULT_LABEL = DEFAULT_LABEL
+module.exports.CHUNK_SIZE = CHUNK_SIZE
+module.exports.crc32 = crc32
@@ -23,14 +23,31 @@ var hark = require('hark')
 var EventEmitter = require('events').EventEmitter
 var recursive = require('merge').recursive.bind(undefined, true)
 var sdpTranslator = require('sdp-translator')
-var logger = (typeof window === 'undefined') ? console : window.Logger ||
-  console
-
+var normalizeStats = require('./stats').normalizeStats
+var sdp = require('./sdp')
+var getCandidateFilter = require('./candidates').getCandidateFilter
+var DataChannel = require('./DataChannel')
+var FileTransfers = require('./FileTransfer')
+var RecordingStream = require('./recording').RecordingStream
+var captureFrame = require('./capture').captureFrame
+var listDevices = require('./devices').listDevices
+var webrtcImplementation = require('./webrtc')
+var logging = require('./logger')
+var utils = require('./utils')
+
+var promisify = utils.promisify
+var toError = utils.toError
+var getWebRtc = webrtcImplementation.getWebRtc
+var createLogger = logging.createLogger
+
+// Screen sharing browser extensions are only used as fallback on browsers
+// without support for getDisplayMedia()
+var hasScreenExtensions = true
 try {
   require('kurento-browser-extensions')
 } catch (error) {
   if (typeof getScreenConstraints === 'undefined') {
-    logger.warn('screen sharing is not available')
+    hasScreenExtensions = false
 
     getScreenConstraints = function getScreenConstraints(sendSource, callback) {
       callback(new Error("This library is not enabled for screen sharing"))
@@ -38,6 +55,23 @@ try {
   }
 }
 
+var STATS_INTERVAL = 1000
+
+var ICE_GATHERING_TIMEOUT = 5000
+
+var RECORDING_SOURCES = ['local', 'remote', 'mixed']
+
+var FRAME_CAPTURE_INTERVAL = 1000
+
+var VOICE_ACTIVITY_SIDES = ['local', 'remote']
+
+// Surfaces preselected in the getDisplayMedia() picker for each `sendSource`
+var DISPLAY_SURFACES = {
+  screen: 'monitor',
+  window: 'window',
+  tab: 'browser'
+}
+
 var MEDIA_CONSTRAINTS = {
   audio: true,
   video: {
@@ -46,12 +80,9 @@ var MEDIA_CONSTRAINTS = {
   }
 }
 
-// Somehow, the UAParser constructor gets an empty window object.
-// We need to pass the user agent string in order to get information
-var ua = (typeof window !== 'undefined' && window.navigator) ? window.navigator
-  .userAgent : ''
-var parser = new UAParser(ua)
-var browser = parser.getBrowser()
+// The browser is detected when creating the first WebRtcPeer, so the module
+// can be loaded outside of it
+var browser
 
 function insertScriptSrcInHtmlDom(scriptSrc) {
   //Create a script tag
@@ -71,25 +102,85 @@ function importScriptsDependsOnBrowser() {
   }
 }
 
-importScriptsDependsOnBrowser();
-var usePlanB = false
-if (browser.name === 'Chrome' || browser.name === 'Chromium') {
-  logger.debug(browser.name + ": using SDP PlanB")
-  usePlanB = true
+function getBrowser() {
+  if (!browser) {
+    // Somehow, the UAParser constructor gets an empty window object.
+    // We need to pass the user agent string in order to get information
+    var ua = (typeof window !== 'undefined' && window.navigator) ? window
+      .navigator.userAgent : ''
+    browser = new UAParser(ua).getBrowser()
+
+    importScriptsDependsOnBrowser();
+  }
+
+  return browser
+}
+
+/**
+ * Check if the SDP PlanB must be used. Injected WebRTC implementations use
+ * the standard Unified Plan
+ */
+function usesPlanB(webrtc, logger) {
+  if (webrtc.injected) return false
+
+  var name = getBrowser().name
+  if (name !== 'Chrome' && name !== 'Chromium') return false
+
+  logger.debug(name + ": using SDP PlanB")
+  return true
+}
+
+function hasDisplayMedia(webrtc) {
+  return webrtc.mediaDevices !== undefined && webrtc.mediaDevices
+    .getDisplayMedia !== undefined
 }
 
-function noop(error) {
-  if (error) logger.error(error)
+function hasSetCodecPreferences(webrtc) {
+  var RTCRtpTransceiver = webrtc.RTCRtpTransceiver
+  var RTCRtpReceiver = webrtc.RTCRtpReceiver
+
+  return RTCRtpTransceiver !== undefined && RTCRtpTransceiver.prototype
+    .setCodecPreferences !== undefined && RTCRtpReceiver !== undefined &&
+    RTCRtpReceiver.getCapabilities !== undefined
 }
 
+function noop() {}
+
 function trackStop(track) {
-  track.stop && track.stop()
+  if (track.stop) track.stop()
 }
 
 function streamStop(stream) {
   stream.getTracks().forEach(trackStop)
 }
 
+/**
+ * Get the sides to listen and the hark options from the voiceActivity option
+ */
+function getVoiceActivity(voiceActivity) {
+  if (!voiceActivity) return
+
+  if (typeof voiceActivity !== 'object') {
+    voiceActivity = {
+      side: voiceActivity === true ? 'both' : voiceActivity
+    }
+  }
+
+  var side = voiceActivity.side || 'both'
+  if (side !== 'both' && VOICE_ACTIVITY_SIDES.indexOf(side) < 0) {
+    throw new Error('Unknown voice activity side: ' + side)
+  }
+
+  return {
+    sides: side === 'both' ? VOICE_ACTIVITY_SIDES : [side],
+
+    // Don't play again the audio being analyzed
+    harkOptions: recursive({
+      play: false
+    }, voiceActivity)
+  }
+}
+
 /**
  * Returns a string representation of a SessionDescription object.
  */
@@ -101,7 +192,26 @@ var dumpSDP = function (description) {
   return 'type: ' + description.type + '\r\n' + description.sdp
 }
 
-function bufferizeCandidates(pc, onerror) {
+/**
+ * Get a function to add the remote ICE candidates to a RTCPeerConnection,
+ * queueing them until it has a remote description. Candidates with the ICE
+ * username fragment of a previous remote description, left over from before
+ * an ICE restart, are dropped, and the ones with an unknown one are queued
+ * until the next remote description is set, since the candidates of an ICE
+ * restart may come before it. A null or empty candidate means
+ * end-of-candidates.
+ *
+ * @param {RTCPeerConnection} pc
+ * @param {Function} [onerror] - Default callback of the added candidates
+ * @param {Object} [logger] - Logger, like the one of the WebRtcPeer
+ *
+ * @return {Function} Function to add a candidate, with an optional callback.
+ *  Its `queueLength` property is the number of queued candidates, and its
+ *  `close()` method fails them when the RTCPeerConnection gets closed
+ */
+function bufferizeCandidates(pc, onerror, logger) {
+  logger = logger || createLogger()
+
   var candidatesQueue = []
 
   function setSignalingstatechangeAccordingWwebBrowser(functionToExecute, pc) {
@@ -114,76 +224,269 @@ function bufferizeCandidates(pc, onerror) {
 
   }
 
-  var signalingstatechangeFunction = function () {
-    if (pc.signalingState === 'stable') {
-      while (candidatesQueue.length) {
-        var entry = candidatesQueue.shift();
-        pc.addIceCandidate(entry.candidate, entry.callback, entry.callback);
-      }
+  function getUfrag(candidate) {
+    if (candidate.usernameFragment) return candidate.usernameFragment
+
+    var match = / ufrag (\S+)/.exec(candidate.candidate)
+    if (match) return match[1]
+  }
+
+  // ICE username fragments of the current and the previous remote descriptions
+  var remoteUfrags = []
+  var previousUfrags = []
+
+  function updateUfrags() {
+    var lines = pc.remoteDescription.sdp.match(/^a=ice-ufrag:\S+/mg) || []
+    var ufrags = lines.map(function (line) {
+      return line.substr('a=ice-ufrag:'.length)
+    })
+
+    if (ufrags.join() === remoteUfrags.join()) return
+
+    previousUfrags = previousUfrags.concat(remoteUfrags)
+    remoteUfrags = ufrags
+  }
+
+  function addIceCandidate(candidate, callback) {
+    // End-of-candidates
+    if (!candidate || !candidate.candidate) {
+      return Promise.resolve().then(function () {
+        return pc.addIceCandidate(candidate || undefined)
+      }).then(function () {
+        callback()
+      }, function (error) {
+        // Not supported by all browsers, and not needed to complete ICE
+        logger.debug('End-of-candidates not added:', error)
+        callback()
+      })
     }
-  };
 
-  setSignalingstatechangeAccordingWwebBrowser(signalingstatechangeFunction, pc);
-  return function (candidate, callback) {
-    callback = callback || onerror;
-    switch (pc.signalingState) {
-    case 'closed':
-      callback(new Error('PeerConnection object is closed'));
-      break;
-    case 'stable':
-      if (pc.remoteDescription) {
-        pc.addIceCandidate(candidate, callback, callback);
-        break;
+    Promise.resolve().then(function () {
+      return pc.addIceCandidate(candidate)
+    }).then(function () {
+      callback()
+    }, callback)
+  }
+
+  /**
+   * Add the candidate if possible, or return true if it must wait
+   */
+  function process(entry) {
+    var candidate = entry.candidate
+    var callback = entry.callback
+
+    if (pc.signalingState === 'closed') {
+      callback(new Error('PeerConnection object is closed'))
+      return false
+    }
+
+    if (!pc.remoteDescription) return true
 
+    var ufrag = candidate && candidate.candidate && getUfrag(candidate)
+    if (ufrag && remoteUfrags.length && remoteUfrags.indexOf(ufrag) < 0) {
+      // The remote description of an ICE restart may come after its candidates
+      if (previousUfrags.indexOf(ufrag) < 0) return true
+
+      logger.debug('Dropping ICE candidate of a previous ICE session',
+        candidate)
+      callback()
+      return false
+    }
+
+    addIceCandidate(candidate, callback)
+    return false
+  }
+
+  function processQueue() {
+    if (pc.remoteDescription) updateUfrags()
+
+    candidatesQueue = candidatesQueue.filter(process)
+  }
+
+  setSignalingstatechangeAccordingWwebBrowser(processQueue, pc);
+
+  function bufferizedAddIceCandidate(candidate, callback) {
+    var entry = {
+      candidate: candidate,
+      callback: callback || onerror || function (error) {
+        if (error) logger.error(error)
       }
-    default:
-      candidatesQueue.push({
-        candidate: candidate,
-        callback: callback
+    }
 
-      });
+    // Keep the order of the candidates waiting in the queue
+    candidatesQueue.push(entry)
+    processQueue()
+  }
+
+  Object.defineProperty(bufferizedAddIceCandidate, 'queueLength', {
+    get: function () {
+      return candidatesQueue.length
     }
-  };
+  })
+
+  // Browsers don't emit `signalingstatechange` when closing it
+  bufferizedAddIceCandidate.close = function () {
+    var queue = candidatesQueue
+    candidatesQueue = []
+
+    queue.forEach(function (entry) {
+      entry.callback(new Error('PeerConnection object is closed'))
+    })
+  }
+
+  return bufferizedAddIceCandidate
 }
 
-/* Simulcast utilities */
+var CONNECTION_RECOVERY = {
+  gracePeriod: 2000,
+  retries: 3,
+  retryDelay: 3000,
+  backoffFactor: 2
+}
 
-function removeFIDFromOffer(sdp) {
-  var n = sdp.indexOf("a=ssrc-group:FID");
+/**
+ * Watch the ICE connection state of a WebRtcPeer and try to recover it by
+ * restarting ICE when it gets disconnected for longer than the grace period,
+ * or when it fails.
+ *
+ * Each new SDP offer is emitted in a `reconnecting` event, and it's up to the
+ * application to send it to the remote peer and process its SDP answer.
+ * Attempts are spaced with an exponential backoff, and after the last one the
+ * `connectionlost` event is emitted. When connectivity is back, `reconnected`
+ * is emitted.
+ *
+ * @return {Function} Stop watching the connection
+ */
+function recoverConnection(webRtcPeer, policy, logger) {
+  var pc = webRtcPeer.peerConnection
 
-  if (n > 0) {
-    return sdp.slice(0, n);
-  } else {
-    return sdp;
+  var attempts = 0
+  var recovering = false
+  var timeout
+
+  function clear() {
+    clearTimeout(timeout)
+    timeout = undefined
+  }
+
+  function attempt() {
+    timeout = undefined
+
+    if (pc.signalingState === 'closed') return
+
+    if (attempts >= policy.retries) {
+      recovering = false
+
+      logger.warn('ICE connection could not be recovered after ' + attempts +
+        ' attempts')
+      return webRtcPeer.emit('connectionlost')
+    }
+
+    attempts++
+
+    webRtcPeer.restartIce(function (error, sdpOffer) {
+      if (error) {
+        logger.error('ICE restart attempt ' + attempts + ' failed', error)
+      } else {
+        webRtcPeer.emit('reconnecting', sdpOffer, attempts)
+      }
+
+      if (!recovering) return
+
+      var delay = policy.retryDelay * Math.pow(policy.backoffFactor,
+        attempts - 1)
+      timeout = setTimeout(attempt, delay)
+    })
+  }
+
+  function recover() {
+    clear()
+
+    recovering = true
+    attempts = 0
+
+    attempt()
+  }
+
+  function oniceconnectionstatechange() {
+    switch (pc.iceConnectionState) {
+    case 'connected':
+    case 'completed':
+      clear()
+
+      if (recovering) {
+        recovering = false
+        webRtcPeer.emit('reconnected')
+      }
+      break
+
+    case 'disconnected':
+      if (!recovering && !timeout) {
+        timeout = setTimeout(recover, policy.gracePeriod)
+      }
+      break
+
+    case 'failed':
+      if (!recovering) recover()
+      break
+
+    case 'closed':
+      recovering = false
+      clear()
+    }
+  }
+
+  pc.addEventListener('iceconnectionstatechange', oniceconnectionstatechange)
+
+  return function () {
+    recovering = false
+    clear()
+
+    pc.removeEventListener('iceconnectionstatechange',
+      oniceconnectionstatechange)
   }
 }
 
-function getSimulcastInfo(videoStream) {
-  var videoTracks = videoStream.getVideoTracks();
-  if (!videoTracks.length) {
-    logger.warn('No video tracks available in the video stream')
-    return ''
+/* Simulcast utilities */
+
+// Default layers, from the highest to the lowest resolution
+var SIMULCAST_ENCODINGS = [{
+  rid: 'f',
+  maxBitrate: 1200000
+}, {
+  rid: 'h',
+  scaleResolutionDownBy: 2,
+  maxBitrate: 500000
+}, {
+  rid: 'q',
+  scaleResolutionDownBy: 4,
+  maxBitrate: 150000
+}]
+
+/**
+ * Get the RTCRtpEncodingParameters of each one of the simulcast layers.
+ *
+ * @param {(Boolean|Object)} simulcast Either `true` to use the default layers,
+ *  or an object with the number of `layers` and/or an array of `encodings`
+ *  whose settings override the default ones of each layer
+ */
+function getSimulcastEncodings(simulcast) {
+  if (simulcast === true) simulcast = {}
+
+  var encodings = simulcast.encodings || []
+  var layers = simulcast.layers || encodings.length || SIMULCAST_ENCODINGS
+    .length
+
+  var result = []
+
+  for (var i = 0; i < layers; i++) {
+    result.push(recursive({
+      rid: 'r' + i,
+      scaleResolutionDownBy: Math.pow(2, i)
+    }, SIMULCAST_ENCODINGS[i], encodings[i]))
   }
-  var lines = [
-    'a=x-google-flag:conference',
-    'a=ssrc-group:SIM 1 2 3',
-    'a=ssrc:1 cname:localVideo',
-    'a=ssrc:1 msid:' + videoStream.id + ' ' + videoTracks[0].id,
-    'a=ssrc:1 mslabel:' + videoStream.id,
-    'a=ssrc:1 label:' + videoTracks[0].id,
-    'a=ssrc:2 cname:localVideo',
-    'a=ssrc:2 msid:' + videoStream.id + ' ' + videoTracks[0].id,
-    'a=ssrc:2 mslabel:' + videoStream.id,
-    'a=ssrc:2 label:' + videoTracks[0].id,
-    'a=ssrc:3 cname:localVideo',
-    'a=ssrc:3 msid:' + videoStream.id + ' ' + videoTracks[0].id,
-    'a=ssrc:3 mslabel:' + videoStream.id,
-    'a=ssrc:3 label:' + videoTracks[0].id
-  ];
-
-  lines.push('');
-
-  return lines.join('\n');
+
+  return result
 }
 
 function sleep(milliseconds) {
@@ -214,13 +517,78 @@ function setIceCandidateAccordingWebBrowser(functionToExecute, pc) {
  * @param {String} mode Mode in which the PeerConnection will be configured.
  *  Valid values are: 'recvonly', 'sendonly', and 'sendrecv'
  * @param localVideo Video tag for the local stream
- * @param remoteVideo Video tag for the remote stream
+ * @param remoteVideo Video tag for the first remote stream. The others can be
+ *  rendered with remoteElements
+ * @param {Object} remoteElements Media elements for each one of the remote
+ *  streams, by their stream id or by the mid of their transceiver
  * @param {MediaStream} videoStream Stream to be used as primary source
  *  (typically video and audio, or only video if combined with audioStream) for
  *  localVideo and to be added as stream to the RTCPeerConnection
  * @param {MediaStream} audioStream Stream to be used as second source
  *  (typically for audio) for localVideo and to be added as stream to the
  *  RTCPeerConnection
+ * @param {String} sendSource Source of the media to send if no stream is given.
+ *  Valid values are: 'webcam' (default), 'screen', 'window', and 'tab'
+ * @param {Boolean} screenAudio Capture the system or tab audio when sharing
+ *  the screen
+ * @param {String} contentHint Hint about the content of the video, to improve
+ *  its encoding. Valid values are: 'detail', 'motion', and 'text'
+ * @param {(Boolean|Object)} simulcast Send the video in several layers, using
+ *  RID based simulcast. Can be an object with the number of `layers` and the
+ *  `encodings` parameters (rid, scaleResolutionDownBy, maxBitrate...) of each
+ *  one of them. Only used when generating the SDP offer
+ * @param {Object} codecPreferences Codecs to use for each kind of media, in
+ *  order of preference, like `{video: ['H264', 'VP8'], audio: ['opus']}`.
+ *  Codecs not in the list are not negotiated
+ * @param {Number} maxAudioBitrate Maximum bitrate of the audio, in bps. It
+ *  applies to both the sent and the received audio
+ * @param {Number} maxVideoBitrate Maximum bitrate of the video, in bps. It
+ *  applies to both the sent and the received video
+ * @param {(Boolean|Object)} connectionRecovery Restart ICE automatically when
+ *  the connection is lost. Can be an object with the `gracePeriod` (ms) to
+ *  wait while disconnected, the number of `retries`, the `retryDelay` (ms)
+ *  before the next attempt and its `backoffFactor`
+ * @param {Boolean} trickleIce Send the ICE candidates as they are gathered
+ *  (default). If false, the SDP offer and answer are returned once gathering
+ *  has finished with all the candidates on them, and no `icecandidate`
+ *  events are emitted
+ * @param {Number} iceGatheringTimeout Milliseconds to wait for the gathering
+ *  of the ICE candidates when not using trickle ICE, 5000 by default. After
+ *  that, the SDP has the candidates gathered so far
+ * @param {(String|Function|Array)} candidateFilter Policy for the local and
+ *  remote ICE candidates, both trickled and in the SDP. Can be a preset
+ *  ('relay-only', 'no-ipv6', 'no-mdns' or 'tcp-only'), a function getting the
+ *  parsed candidate that returns true to keep it, or an array of them.
+ *  Dropped candidates are emitted in `candidatedropped` events
+ * @param {Boolean} renegotiation Manage the renegotiations needed after the
+ *  first one, like when adding or removing tracks. The new SDP offers are
+ *  emitted in `negotiationneeded` events, and collisions with the remote
+ *  ones are handled with the perfect negotiation pattern
+ * @param {Boolean} polite When using managed renegotiation, roll back the
+ *  local SDP offer when it collides with a remote one (default). If false,
+ *  the remote offer is ignored instead
+ * @param {(Boolean|String|Object)} voiceActivity Detect when there is voice
+ *  on the 'local', 'remote' or 'both' sides of the audio, emitting
+ *  `speaking`, `stoppedspeaking` and `volume` events with the side. Can be an
+ *  object with the `side` and the options of hark (`threshold`,
+ *  `interval`...)
+ * @param {Boolean} deviceFallback When a camera or microphone being sent
+ *  disappears, like when it gets unplugged, send another available device of
+ *  the same kind
+ * @param {Boolean} hardMute Stop the camera or microphone when its track gets
+ *  disabled, so its light turns off, and capture it again when enabled
+ * @param {Object} webrtc WebRTC implementation to use instead of the one set
+ *  with setWebRtcImplementation, like the `wrtc` package or a fake one. It
+ *  can provide the `RTCPeerConnection`, `RTCSessionDescription`,
+ *  `RTCIceCandidate`, `RTCRtpReceiver`, `RTCRtpTransceiver` and `MediaStream`
+ *  classes, and the `mediaDevices` and `document` objects
+ * @param {Object} logger Logger to use instead of the one set with setLogger,
+ *  with the `debug`, `info`, `warn` and `error` methods. The messages are
+ *  tagged with the id and the mode of the WebRtcPeer
+ * @param {String} logLevel Minimum level of the logged messages: 'debug',
+ *  'info', 'warn', 'error', or 'silent' to log nothing
+ * @param {Boolean} redactLogs Redact the IP addresses and the ICE credentials
+ *  of the logged SDPs and ICE candidates
  */
 function WebRtcPeer(mode, options, callback) {
   if (!(this instanceof WebRtcPeer)) {
@@ -235,11 +603,25 @@ function WebRtcPeer(mode, options, callback) {
   }
 
   options = options || {}
-  callback = (callback || noop).bind(this)
+  callback = (callback || logError).bind(this)
 
   var self = this
+  var webrtc = getWebRtc(options.webrtc)
   var localVideo = options.localVideo
   var remoteVideo = options.remoteVideo
+  var remoteElements = {}
+  Object.keys(options.remoteElements || {}).forEach(function (key) {
+    remoteElements[key] = options.remoteElements[key]
+  })
+  var remoteStreams = {}
+  var midStreams = {}
+  var recording
+  var frameCaptureInterval
+  var voiceActivity = getVoiceActivity(options.voiceActivity)
+  var harkers = {}
+  var deviceFallback = options.deviceFallback
+  var hardMute = options.hardMute
+  var hardMuted = {}
   var videoStream = options.videoStream
   var audioStream = options.audioStream
   var mediaConstraints = options.mediaConstraints
@@ -247,16 +629,42 @@ function WebRtcPeer(mode, options, callback) {
   var pc = options.peerConnection
   var sendSource = options.sendSource || 'webcam'
 
+  var guid = uuidv4()
+  var logger = createLogger({
+    logger: options.logger,
+    level: options.logLevel,
+    redact: options.redactLogs,
+    tag: '[WebRtcPeer ' + (options.id || guid) + ' ' + mode + ']'
+  })
+
+  function logError(error) {
+    if (error) logger.error(error)
+  }
+
   var dataChannelConfig = options.dataChannelConfig
   var useDataChannels = options.dataChannels || false
   var dataChannel
+  var dataChannels = {}
+  var fileTransfers = new FileTransfers(function (transfer) {
+    // Nobody would get the file
+    if (!EventEmitter.listenerCount(self, 'file')) return transfer.cancel()
+
+    self.emit('file', transfer)
+  }, {
+    webrtc: webrtc,
+    logger: logger
+  })
 
-  var guid = uuidv4()
   var configuration = recursive({
       iceServers: freeice()
     },
     options.configuration)
 
+  // Local candidates would be used even if not sent to the remote peer
+  if ([].concat(options.candidateFilter).indexOf('relay-only') >= 0) {
+    configuration.iceTransportPolicy = 'relay'
+  }
+
   var onicecandidate = options.onicecandidate
   if (onicecandidate) this.on('icecandidate', onicecandidate)
 
@@ -266,7 +674,23 @@ function WebRtcPeer(mode, options, callback) {
   }
 
   var simulcast = options.simulcast
+  var simulcastEncodings = simulcast && getSimulcastEncodings(simulcast)
+  var codecPreferences = options.codecPreferences
+  var maxBitrates = {
+    audio: options.maxAudioBitrate,
+    video: options.maxVideoBitrate
+  }
+  var trickleIce = options.trickleIce !== false
+  var iceGatheringTimeout = options.iceGatheringTimeout ||
+    ICE_GATHERING_TIMEOUT
+  var candidateFilter = getCandidateFilter(options.candidateFilter)
+  var renegotiation = options.renegotiation
+  var polite = options.polite !== false
+  var makingOffer = false
+  var offerSet = Promise.resolve()
+  var ignoreOffer = false
   var multistream = options.multistream
+  var usePlanB = multistream && usesPlanB(webrtc, logger)
   var interop = new sdpTranslator.Interop()
   var candidatesQueueOut = []
   var candidategatheringdone = false
@@ -283,6 +707,15 @@ function WebRtcPeer(mode, options, callback) {
       writable: false
     },
 
+    /**
+     * Logger of the WebRtcPeer, tagging the messages with its id and mode
+     *
+     * @member {Object} logger
+     */
+    'logger': {
+      value: logger
+    },
+
     'remoteVideo': {
       get: function () {
         return remoteVideo
@@ -301,6 +734,17 @@ function WebRtcPeer(mode, options, callback) {
       }
     },
 
+    /**
+     * Number of remote ICE candidates waiting for the remote description
+     *
+     * @member {Number} remoteCandidatesQueueLength
+     */
+    'remoteCandidatesQueueLength': {
+      get: function () {
+        return addIceCandidate.queueLength
+      }
+    },
+
     /**
      * @member {(external:ImageData|undefined)} currentFrame
      */
@@ -313,7 +757,7 @@ function WebRtcPeer(mode, options, callback) {
         if (remoteVideo.readyState < remoteVideo.HAVE_CURRENT_DATA)
           throw new Error('No video stream data available')
 
-        var canvas = document.createElement('canvas')
+        var canvas = webrtc.document.createElement('canvas')
         canvas.width = remoteVideo.videoWidth
         canvas.height = remoteVideo.videoHeight
 
@@ -326,7 +770,13 @@ function WebRtcPeer(mode, options, callback) {
 
   // Init PeerConnection
   if (!pc) {
-    pc = new RTCPeerConnection(configuration);
+    if (!webrtc.RTCPeerConnection) {
+      throw new Error(
+        'WebRTC is not available, set an implementation with setWebRtcImplementation'
+      )
+    }
+
+    pc = new webrtc.RTCPeerConnection(configuration);
     if (useDataChannels && !dataChannel) {
       var dcId = 'WebRtcPeer-' + self.id
       var dcOptions = undefined
@@ -334,13 +784,13 @@ function WebRtcPeer(mode, options, callback) {
         dcId = dataChannelConfig.id || dcId
         dcOptions = dataChannelConfig.options
       }
-      dataChannel = pc.createDataChannel(dcId, dcOptions);
+      dataChannel = createDataChannel(dcId, dcOptions).channel;
       if (dataChannelConfig) {
         dataChannel.onopen = dataChannelConfig.onopen;
         dataChannel.onclose = dataChannelConfig.onclose;
         dataChannel.onmessage = dataChannelConfig.onmessage;
         dataChannel.onbufferedamountlow = dataChannelConfig.onbufferedamountlow;
-        dataChannel.onerror = dataChannelConfig.onerror || noop;
+        dataChannel.onerror = dataChannelConfig.onerror || logError;
       }
     }
   }
@@ -349,18 +799,18 @@ function WebRtcPeer(mode, options, callback) {
   // (usage of these methods should be dropped altogether)
   if (!pc.getLocalStreams && pc.getSenders) {
     pc.getLocalStreams = function () {
-      var stream = new MediaStream();
+      var stream = new webrtc.MediaStream();
       pc.getSenders().forEach(function (sender) {
-        stream.addTrack(sender.track);
+        if (sender.track) stream.addTrack(sender.track);
       });
       return [stream];
     };
   }
   if (!pc.getRemoteStreams && pc.getReceivers) {
     pc.getRemoteStreams = function () {
-      var stream = new MediaStream();
+      var stream = new webrtc.MediaStream();
       pc.getReceivers().forEach(function (sender) {
-        stream.addTrack(sender.track);
+        if (sender.track) stream.addTrack(sender.track);
       });
       return [stream];
     };
@@ -372,6 +822,11 @@ function WebRtcPeer(mode, options, callback) {
   // https://developer.mozilla.org/en-US/docs/Web/API/RTCPeerConnection/icecandidate_event#Indicating_that_ICE_gathering_is_complete
   var iceCandidateFunction = function (event) {
     var candidate = event.candidate;
+
+    // Without trickle ICE, candidates are sent in the SDP
+    if (candidate && !trickleIce) return
+    if (candidate && !keepCandidate(candidate, 'local')) return
+
     if (EventEmitter.listenerCount(self, 'icecandidate') || EventEmitter
       .listenerCount(self, 'candidategatheringdone')) {
       if (candidate) {
@@ -405,8 +860,20 @@ function WebRtcPeer(mode, options, callback) {
   };
 
   setIceCandidateAccordingWebBrowser(iceCandidateFunction, pc);
+
+  var stopConnectionRecovery = noop
+  if (options.connectionRecovery) {
+    var recoveryPolicy = recursive({}, CONNECTION_RECOVERY,
+      options.connectionRecovery === true ? {} : options.connectionRecovery)
+
+    stopConnectionRecovery = recoverConnection(this, recoveryPolicy, logger)
+  }
   pc.onaddstream = options.onaddstream
+  pc.addEventListener('track', ontrack)
   pc.onnegotiationneeded = options.onnegotiationneeded
+  if (renegotiation) {
+    pc.addEventListener('negotiationneeded', onnegotiationneeded)
+  }
   this.on('newListener', function (event, listener) {
     if (event === 'icecandidate' || event === 'candidategatheringdone') {
       while (candidatesQueueOut.length) {
@@ -419,7 +886,26 @@ function WebRtcPeer(mode, options, callback) {
     }
   })
 
-  var addIceCandidate = bufferizeCandidates(pc)
+  var addIceCandidate = bufferizeCandidates(pc, undefined, logger)
+
+  /**
+   * Check an ICE candidate against the `candidateFilter` option, emitting a
+   * `candidatedropped` event with it and its origin if it doesn't pass
+   */
+  function keepCandidate(candidate, origin) {
+    if (!candidateFilter || candidateFilter(candidate)) return true
+
+    logger.debug('Dropped', origin, 'ICE candidate', candidate)
+    self.emit('candidatedropped', candidate, origin)
+  }
+
+  function filterCandidates(description, origin) {
+    if (!candidateFilter) return description
+
+    return sdp.filterCandidates(description, function (candidate) {
+      return keepCandidate(candidate, origin)
+    })
+  }
 
   /**
    * Callback function invoked when an ICE candidate is received. Developers are
@@ -429,24 +915,89 @@ function WebRtcPeer(mode, options, callback) {
    *
    * @param iceCandidate - Literal object with the ICE candidate description
    * @param callback - Called when the ICE candidate has been added.
+   *
+   * @return {(Promise|undefined)} If no callback is given, a Promise resolved
+   *  when the ICE candidate has been added
    */
   this.addIceCandidate = function (iceCandidate, callback) {
+    if (!callback) return promisify(this.addIceCandidate.bind(this,
+      iceCandidate))
+
     var candidate
 
     if (multistream && usePlanB) {
       candidate = interop.candidateToPlanB(iceCandidate)
     } else {
-      candidate = new RTCIceCandidate(iceCandidate)
+      candidate = new webrtc.RTCIceCandidate(iceCandidate)
     }
 
     logger.debug('Remote ICE candidate received', iceCandidate)
-    callback = (callback || noop).bind(this)
+    callback = callback.bind(this)
+
+    // Candidates of an ignored SDP offer would fail
+    if (ignoreOffer) {
+      var onadded = callback
+      callback = function (error) {
+        if (error && ignoreOffer) return onadded()
+
+        onadded(error)
+      }
+    }
+
+    if (!keepCandidate(iceCandidate, 'remote')) return callback()
+
     addIceCandidate(candidate, callback)
   }
 
+  /**
+   * Create the SDP offer and set it as local description. Developers are
+   * expected to send it to the remote peer and pass back its SDP answer.
+   *
+   * @function module:kurentoUtils.WebRtcPeer.prototype.generateOffer
+   *
+   * @param callback - Invoked with the SDP offer and the processAnswer method,
+   *  or with an error.
+   *
+   * @return {(Promise<String>|undefined)} If no callback is given, a Promise
+   *  resolved with the SDP offer
+   */
   this.generateOffer = function (callback) {
-    callback = callback.bind(this)
+    if (!callback) return promisify(this.generateOffer.bind(this))
+
+    generateOffer(undefined, callback.bind(this))
+  }
 
+  /**
+   * Restart ICE by generating a new SDP offer with fresh ICE credentials. As
+   * with generateOffer, developers are expected to send it to the remote peer
+   * and pass back its SDP answer.
+   *
+   * @function module:kurentoUtils.WebRtcPeer.prototype.restartIce
+   *
+   * @param callback - Invoked with the SDP offer and the processAnswer method,
+   *  or with an error.
+   *
+   * @return {(Promise<String>|undefined)} If no callback is given, a Promise
+   *  resolved with the SDP offer
+   */
+  this.restartIce = function (callback) {
+    if (!callback) return promisify(this.restartIce.bind(this))
+
+    logger.debug('Restarting ICE')
+
+    candidategatheringdone = false
+    generateOffer({
+      iceRestart: true
+    }, callback.bind(this))
+  }
+
+  function hasTransceiver(kind) {
+    return pc.getTransceivers().some(function (transceiver) {
+      return transceiver.receiver.track.kind === kind
+    })
+  }
+
+  function generateOffer(offerOptions, callback) {
     if (mode === 'recvonly') {
       /* Add reception tracks on the RTCPeerConnection. Send tracks are
        * unconditionally added to "sendonly" and "sendrecv" modes, in the
@@ -454,7 +1005,8 @@ function WebRtcPeer(mode, options, callback) {
        *
        * Here, we add new transceivers to receive audio and/or video, so the
        * SDP Offer that will be generated by the PC includes these medias
-       * with the "a=recvonly" attribute.
+       * with the "a=recvonly" attribute. Later offers (e.g. ICE restarts)
+       * reuse the transceivers added for the first one.
        */
       var useAudio =
         (mediaConstraints && typeof mediaConstraints.audio === 'boolean') ?
@@ -463,13 +1015,13 @@ function WebRtcPeer(mode, options, callback) {
         (mediaConstraints && typeof mediaConstraints.video === 'boolean') ?
         mediaConstraints.video : true
 
-      if (useAudio) {
+      if (useAudio && !hasTransceiver('audio')) {
         pc.addTransceiver('audio', {
           direction: 'recvonly'
         });
       }
 
-      if (useVideo) {
+      if (useVideo && !hasTransceiver('video')) {
         pc.addTransceiver('video', {
           direction: 'recvonly'
         });
@@ -480,13 +1032,17 @@ function WebRtcPeer(mode, options, callback) {
        *
        * Here, we set all transceivers to only send audio and/or video, so the
        * SDP Offer that will be generated by the PC includes these medias
-       * with the "a=sendonly" attribute.
+       * with the "a=sendonly" attribute. The ones of the tracks removed
+       * mid-call don't send anything anymore.
        */
       pc.getTransceivers().forEach(function (transceiver) {
-        transceiver.direction = "sendonly";
+        transceiver.direction = transceiver.direction === 'recvonly' ?
+          'inactive' : "sendonly";
       });
     }
 
+    setCodecPreferences()
+
     if (typeof AdapterJS !== 'undefined' && AdapterJS
       .webrtcDetectedBrowser === 'IE' && AdapterJS.webrtcDetectedVersion >= 9
     ) {
@@ -507,14 +1063,20 @@ function WebRtcPeer(mode, options, callback) {
         pc.setLocalDescription(offer, setLocalDescriptionOnSuccess,
           callback);
       };
-      pc.createOffer(createOfferOnSuccess, callback);
+      pc.createOffer(createOfferOnSuccess, callback, offerOptions);
     } else {
-      pc.createOffer()
+      var setOffer = pc.createOffer(offerOptions)
         .then(function (offer) {
           logger.debug('Created SDP offer');
-          offer = mangleSdpToAddSimulcast(offer);
-          return pc.setLocalDescription(offer);
+          return pc.setLocalDescription(mangleSdp(offer));
         })
+
+      // Let a colliding remote SDP offer wait for ours to roll it back
+      if (makingOffer) offerSet = setOffer.catch(noop)
+
+      setOffer
+        .then(applyMaxBitrates)
+        .then(waitIceGathering)
         .then(function () {
           var localDescription = pc.localDescription;
           logger.debug('Local description set\n', localDescription.sdp);
@@ -523,13 +1085,116 @@ function WebRtcPeer(mode, options, callback) {
             logger.debug('offer::origPlanB->UnifiedPlan', dumpSDP(
               localDescription));
           }
-          callback(null, localDescription.sdp, self.processAnswer.bind(
-            self));
+          callback(null, filterCandidates(localDescription.sdp, 'local'),
+            self.processAnswer.bind(self));
         })
         .catch(callback);
     }
   }
 
+  /**
+   * Wait for the gathering of the ICE candidates to finish, if not using
+   * trickle ICE, so they are all on the local description
+   */
+  function waitIceGathering() {
+    if (trickleIce || pc.iceGatheringState === 'complete') return
+
+    return new Promise(function (resolve) {
+      function done() {
+        clearTimeout(timeout)
+        pc.removeEventListener('icegatheringstatechange', onstatechange)
+        pc.removeEventListener('icecandidate', onicecandidate)
+
+        resolve()
+      }
+
+      function onstatechange() {
+        if (pc.iceGatheringState === 'complete') done()
+      }
+
+      function onicecandidate(event) {
+        if (!event.candidate) done()
+      }
+
+      var timeout = setTimeout(function () {
+        logger.warn(
+          'ICE gathering timed out, using the candidates gathered',
+          'so far')
+        done()
+      }, iceGatheringTimeout)
+
+      pc.addEventListener('icegatheringstatechange', onstatechange)
+      pc.addEventListener('icecandidate', onicecandidate)
+    })
+  }
+
+  var statsInterval
+  var lastStatsReport
+
+  function getStats() {
+    return pc.getStats().then(function (report) {
+      var stats = normalizeStats(report, lastStatsReport)
+      lastStatsReport = report
+
+      return stats
+    })
+  }
+
+  /**
+   * Start emitting `stats` events periodically with the statistics of each
+   * one of the inbound and outbound tracks, calculated since the previous
+   * ones.
+   *
+   * @function module:kurentoUtils.WebRtcPeer.prototype.startStats
+   *
+   * @param {Object} [options]
+   * @param {Number} [options.interval=1000] Milliseconds between events
+   */
+  this.startStats = function (options) {
+    this.stopStats()
+
+    var interval = (options && options.interval) || STATS_INTERVAL
+
+    // Take a first report, so rates are available since the first event
+    getStats().catch(function (error) {
+      logger.error('Error getting stats', error)
+    })
+
+    statsInterval = setInterval(function () {
+      if (pc.signalingState === 'closed') return self.stopStats()
+
+      getStats().then(function (stats) {
+        self.emit('stats', stats)
+      }, function (error) {
+        logger.error('Error getting stats', error)
+      })
+    }, interval)
+  }
+
+  /**
+   * Stop emitting `stats` events.
+   *
+   * @function module:kurentoUtils.WebRtcPeer.prototype.stopStats
+   */
+  this.stopStats = function () {
+    clearInterval(statsInterval)
+    statsInterval = undefined
+  }
+
+  /**
+   * Get the statistics of each one of the inbound and outbound tracks. Rates
+   * are calculated since the previous statistics were taken, so they are not
+   * available on the first call if the stats monitor is not running.
+   *
+   * @function module:kurentoUtils.WebRtcPeer.prototype.getStatsSummary
+   *
+   * @return {Promise<Object>} Resolved with the `timestamp` and the `tracks`
+   *  statistics
+   */
+  this.getStatsSummary = function () {
+    return getStats()
+  }
+
   this.getLocalSessionDescriptor = function () {
     return pc.localDescription
   }
@@ -542,7 +1207,7 @@ function WebRtcPeer(mode, options, callback) {
     if (remoteVideo) {
       remoteVideo.pause()
 
-      var stream = pc.getRemoteStreams()[0]
+      var stream = self.getRemoteStream()
       remoteVideo.srcObject = stream
       logger.debug('Remote stream:', stream)
 
@@ -556,25 +1221,1129 @@ function WebRtcPeer(mode, options, callback) {
     }
   }
 
-  this.showLocalVideo = function () {
-    localVideo.srcObject = videoStream
-    localVideo.muted = true
+  /**
+   * Get the stream of the tracks of a transceiver, to render it alone
+   */
+  function getMidStream(mid) {
+    if (midStreams[mid]) return midStreams[mid]
 
-    if (typeof AdapterJS !== 'undefined' && AdapterJS
-      .webrtcDetectedBrowser === 'IE' && AdapterJS.webrtcDetectedVersion >= 9
+    var transceiver = pc.getTransceivers().filter(function (transceiver) {
+      return transceiver.mid === mid
+    })[0]
+    if (!transceiver) return
+
+    var track = transceiver.receiver.track
+
+    midStreams[mid] = new webrtc.MediaStream([track])
+    return midStreams[mid]
+  }
+
+  function updateRemoteElements() {
+    Object.keys(remoteElements).forEach(function (key) {
+      var element = remoteElements[key]
+      var stream = remoteStreams[key] || getMidStream(key)
+
+      if (stream && element.srcObject !== stream) {
+        element.srcObject = stream
+        logger.debug('Remote stream', key, 'attached to', element)
+      }
+    })
+  }
+
+  function addRemoteStream(key, stream) {
+    remoteStreams[key] = stream
+
+    stream.addEventListener('removetrack', function () {
+      if (stream.getTracks().length || remoteStreams[key] !== stream) return
+
+      delete remoteStreams[key]
+      self.emit('remotestreamremoved', stream)
+
+      updateVoiceActivity()
+    })
+
+    self.emit('remotestream', stream)
+  }
+
+  // Media of the track stopped or started flowing
+  function onremotetrackmute(event) {
+    self.emit('remote' + event.type, event.target)
+  }
+
+  function ontrack(event) {
+    var track = event.track
+    var mid = event.transceiver && event.transceiver.mid
+
+    var streams = event.streams || []
+    if (streams.length) {
+      streams.forEach(function (stream) {
+        if (!remoteStreams[stream.id]) addRemoteStream(stream.id, stream)
+      })
+    } else {
+      // Tracks without stream are put together in a new one, like in the past
+      var stream = remoteStreams['']
+      if (stream) {
+        stream.addTrack(track)
+      } else {
+        addRemoteStream('', new webrtc.MediaStream([track]))
+      }
+
+      streams = [remoteStreams['']]
+    }
+
+    track.addEventListener('mute', onremotetrackmute)
+    track.addEventListener('unmute', onremotetrackmute)
+
+    logger.debug('Remote track received', track, 'mid:', mid)
+    self.emit('remotetrack', track, streams[0], mid)
+
+    updateRemoteElements()
+    updateRecording()
+    updateVoiceActivity()
+  }
+
+  /**
+   * Render a remote stream on a media element
+   *
+   * @function module:kurentoUtils.WebRtcPeer.prototype.setRemoteElement
+   *
+   * @param {String} key - Id of the stream, or mid of the transceiver to
+   *  render only its track
+   * @param {HTMLMediaElement} [element] - If not given, the stream is removed
+   *  from the previous one
+   */
+  this.setRemoteElement = function (key, element) {
+    var previous = remoteElements[key]
+    if (previous && previous !== element) previous.srcObject = null
+
+    if (element) {
+      remoteElements[key] = element
+    } else {
+      delete remoteElements[key]
+    }
+
+    updateRemoteElements()
+  }
+
+  /**
+   * @function module:kurentoUtils.WebRtcPeer.prototype.getRemoteStreams
+   *
+   * @return {MediaStream[]} The remote streams, as sent by the remote peer
+   */
+  this.getRemoteStreams = function () {
+    return Object.keys(remoteStreams).map(function (id) {
+      return remoteStreams[id]
+    })
+  }
+
+  this.showLocalVideo = function () {
+    localVideo.srcObject = videoStream
+    localVideo.muted = true
+
+    if (typeof AdapterJS !== 'undefined' && AdapterJS
+      .webrtcDetectedBrowser === 'IE' && AdapterJS.webrtcDetectedVersion >= 9
     ) {
       localVideo = attachMediaStream(localVideo, videoStream);
     }
-  };
-  this.send = function (data) {
-    if (dataChannel && dataChannel.readyState === 'open') {
-      dataChannel.send(data)
+  };
+
+  function getSender(kind) {
+    return pc.getTransceivers().filter(function (transceiver) {
+      var track = transceiver.sender.track || transceiver.receiver.track
+
+      return track.kind === kind && (transceiver.direction === 'sendrecv' ||
+        transceiver.direction === 'sendonly')
+    }).map(function (transceiver) {
+      return transceiver.sender
+    })[0]
+  }
+
+  function replaceTrack(kind, track, callback) {
+    var sender = getSender(kind)
+    if (!sender) {
+      return callback(new Error('There is no ' + kind + ' being sent'))
+    }
+
+    var oldTrack = sender.track
+    if (track && oldTrack) track.enabled = oldTrack.enabled
+
+    sender.replaceTrack(track).then(function () {
+      var stream = [videoStream, audioStream].filter(function (stream) {
+        return stream && stream.getTracks().indexOf(oldTrack) >= 0
+      })[0] || videoStream || audioStream
+
+      if (stream) {
+        if (oldTrack) stream.removeTrack(oldTrack)
+        if (track) stream.addTrack(track)
+      }
+
+      if (oldTrack) trackStop(oldTrack)
+      watchLocalTrack(track)
+
+      if (kind === 'video' && localVideo && videoStream) self
+        .showLocalVideo()
+
+      updateRecording()
+      updateVoiceActivity()
+
+      logger.debug('Replaced local ' + kind + ' track', track)
+      callback()
+    }, callback)
+  }
+
+  /**
+   * Replace the video track being sent without renegotiating the session. The
+   * previous track is stopped, and the local video is updated.
+   *
+   * @function module:kurentoUtils.WebRtcPeer.prototype.replaceVideoTrack
+   *
+   * @param {MediaStreamTrack} track - New video track
+   * @param callback - Invoked after the track has been replaced, or there is
+   *  an error.
+   *
+   * @return {(Promise|undefined)} If no callback is given, a Promise resolved
+   *  after the track has been replaced
+   */
+  this.replaceVideoTrack = function (track, callback) {
+    if (!callback) return promisify(this.replaceVideoTrack.bind(this, track))
+
+    replaceTrack('video', track, callback.bind(this))
+  }
+
+  /**
+   * Replace the audio track being sent without renegotiating the session. The
+   * previous track is stopped.
+   *
+   * @function module:kurentoUtils.WebRtcPeer.prototype.replaceAudioTrack
+   *
+   * @param {MediaStreamTrack} track - New audio track
+   * @param callback - Invoked after the track has been replaced, or there is
+   *  an error.
+   *
+   * @return {(Promise|undefined)} If no callback is given, a Promise resolved
+   *  after the track has been replaced
+   */
+  this.replaceAudioTrack = function (track, callback) {
+    if (!callback) return promisify(this.replaceAudioTrack.bind(this, track))
+
+    replaceTrack('audio', track, callback.bind(this))
+  }
+
+  /**
+   * Send the video of another camera. If no device is given, the next one of
+   * the available cameras is used.
+   *
+   * @function module:kurentoUtils.WebRtcPeer.prototype.switchCamera
+   *
+   * @param {String} [deviceId] - Id of the camera to use
+   * @param callback - Invoked after the camera has been switched, or there is
+   *  an error.
+   *
+   * @return {(Promise|undefined)} If no callback is given, a Promise resolved
+   *  after the camera has been switched
+   */
+  this.switchCamera = function (deviceId, callback) {
+    if (deviceId instanceof Function) {
+      callback = deviceId
+      deviceId = undefined
+    }
+
+    if (!callback) return promisify(this.switchCamera.bind(this, deviceId))
+
+    callback = callback.bind(this)
+
+    var sender = getSender('video')
+    var currentId = sender && sender.track && sender.track.getSettings ?
+      sender.track.getSettings().deviceId : undefined
+
+    var promise = deviceId ? Promise.resolve(deviceId) : webrtc
+      .mediaDevices.enumerateDevices().then(function (devices) {
+        var cameras = devices.filter(function (device) {
+          return device.kind === 'videoinput'
+        }).map(function (device) {
+          return device.deviceId
+        })
+
+        if (!cameras.length) throw new Error(
+          'There are no cameras available')
+
+        return cameras[(cameras.indexOf(currentId) + 1) % cameras.length]
+      })
+
+    promise.then(function (deviceId) {
+      self.selectDevices({
+        videoInput: deviceId
+      }, callback)
+    }, callback)
+  }
+
+  function getDeviceConstraints(kind, deviceId) {
+    var constraints = mediaConstraints && mediaConstraints[kind]
+    if (typeof constraints !== 'object') constraints = MEDIA_CONSTRAINTS[kind]
+    if (typeof constraints !== 'object') constraints = {}
+
+    var result = recursive({}, constraints)
+
+    if (deviceId) {
+      result.deviceId = {
+        exact: deviceId
+      }
+    }
+
+    return result
+  }
+
+  /**
+   * Capture again the devices of the tracks stopped to select other ones, and
+   * send them. The tracks that can't be restored are handled as ended
+   */
+  function restoreDevices(stopped) {
+    return Promise.all(stopped.map(function (entry) {
+      var kind = entry.track.kind
+
+      var constraints = {}
+      constraints[kind] = getDeviceConstraints(kind, entry.deviceId)
+
+      return webrtc.mediaDevices.getUserMedia(constraints).then(function (
+        stream) {
+        var track = stream.getTracks()[0]
+
+        return promisify(replaceTrack.bind(undefined, kind, track))
+      }).then(function () {
+        logger.debug('Restored the ' + kind + ' device')
+      }).catch(function (error) {
+        logger.error('Could not restore the ' + kind + ' device:',
+          error)
+
+        onlocaltrackended({
+          target: entry.track
+        })
+      })
+    }))
+  }
+
+  /**
+   * Get the media of the selected devices. Some devices, like the front and
+   * back cameras of phones, can't be used at the same time, so if they are
+   * busy, the tracks being sent are stopped and they are requested again. If
+   * they still can't be used, the previous devices are restored
+   */
+  function getSelectedMedia(constraints) {
+    var mediaDevices = webrtc.mediaDevices
+
+    return mediaDevices.getUserMedia(constraints).catch(function (error) {
+      if (error.name !== 'NotReadableError') throw error
+
+      var stopped = []
+      Object.keys(constraints).forEach(function (kind) {
+        var sender = getSender(kind)
+        var track = sender && sender.track
+        if (!track || track.readyState === 'ended') return
+
+        var settings = track.getSettings ? track.getSettings() : {}
+        stopped.push({
+          track: track,
+          deviceId: settings.deviceId
+        })
+
+        trackStop(track)
+      })
+
+      logger.debug('Devices busy, requesting them again', error)
+
+      return mediaDevices.getUserMedia(constraints).catch(function (error) {
+        return restoreDevices(stopped).then(function () {
+          throw error
+        })
+      })
+    })
+  }
+
+  /**
+   * Send the media of another camera and/or microphone, keeping the
+   * constraints given in `mediaConstraints`. The previous tracks are stopped,
+   * before opening the new devices if they can't be used at the same time. If
+   * the new devices can't be opened then, the previous ones are captured
+   * again, and the tracks that can't be are emitted in `localtrackended`
+   * events.
+   *
+   * @function module:kurentoUtils.WebRtcPeer.prototype.selectDevices
+   *
+   * @param {Object} devices - The `videoInput` and/or `audioInput` ids of the
+   *  devices to use, like the ones got from listDevices
+   * @param callback - Invoked after the devices have been selected, or there
+   *  is an error.
+   *
+   * @return {(Promise|undefined)} If no callback is given, a Promise resolved
+   *  after the devices have been selected
+   */
+  this.selectDevices = function (devices, callback) {
+    if (!callback) return promisify(this.selectDevices.bind(this, devices))
+
+    callback = callback.bind(this)
+
+    var constraints = {}
+    if (devices.videoInput) {
+      constraints.video = getDeviceConstraints('video', devices.videoInput)
+    }
+    if (devices.audioInput) {
+      constraints.audio = getDeviceConstraints('audio', devices.audioInput)
+    }
+
+    if (!constraints.video && !constraints.audio) {
+      return callback(new Error('There are no devices to select'))
+    }
+
+    getSelectedMedia(constraints).then(function (stream) {
+      var tracks = stream.getTracks()
+
+      return tracks.reduce(function (promise, track) {
+        return promise.then(function () {
+          return promisify(replaceTrack.bind(undefined, track
+            .kind, track))
+        })
+      }, Promise.resolve()).catch(function (error) {
+        streamStop(stream)
+        throw error
+      })
+    }).then(function () {
+      logger.debug('Selected devices', devices)
+      callback()
+    }, callback)
+  }
+
+  /**
+   * Send another device of the kind of an ended track
+   */
+  function fallbackDevice(track) {
+    var settings = track.getSettings ? track.getSettings() : {}
+
+    // Screen captures are not replaced by devices
+    if (settings.displaySurface) return
+
+    var kind = track.kind + 'Input'
+
+    listDevices({
+      webrtc: webrtc,
+      logger: logger
+    }).then(function (devices) {
+      var device = devices[kind].filter(function (device) {
+        return device.deviceId !== settings.deviceId
+      })[0]
+
+      if (!device) {
+        throw new Error('There is no other ' + track.kind + ' device')
+      }
+
+      var selection = {}
+      selection[kind] = device.deviceId
+
+      return self.selectDevices(selection).then(function () {
+        logger.info('Falling back to', device.label)
+      })
+    }).catch(function (error) {
+      logger.error('Could not fall back to another device:', error)
+    })
+  }
+
+  function onlocaltrackended(event) {
+    var track = event.target
+
+    // Tracks not being sent anymore, like replaced ones, are ignored
+    var sent = pc.getSenders().some(function (sender) {
+      return sender.track === track
+    })
+    if (!sent) return
+
+    logger.warn('Local ' + track.kind + ' track ended', track)
+    self.emit('localtrackended', track)
+
+    if (deviceFallback) fallbackDevice(track)
+  }
+
+  /**
+   * Stop the device of a kind when its track gets disabled, and capture it
+   * again when enabled
+   */
+  function hardMuteDevice(kind, enabled) {
+    var sender = getSender(kind)
+    var track = sender && sender.track
+    if (!track) return
+
+    var stopped = hardMuted[kind]
+
+    if (!enabled) {
+      if (stopped || track.readyState === 'ended') return
+
+      var settings = track.getSettings ? track.getSettings() : {}
+
+      // Screen captures can't be restarted without asking the user again
+      if (settings.displaySurface) return
+
+      hardMuted[kind] = {
+        deviceId: settings.deviceId
+      }
+
+      track.stop()
+      logger.debug('Stopped the ' + kind + ' device')
+
+      updateRecording()
+      return updateVoiceActivity()
+    }
+
+    if (!stopped || stopped.restarting) return
+    stopped.restarting = true
+
+    var constraints = {}
+    constraints[kind] = getDeviceConstraints(kind, stopped.deviceId)
+
+    webrtc.mediaDevices.getUserMedia(constraints).then(function (stream) {
+      stopped.restarting = false
+
+      var newTrack = stream.getTracks()[0]
+
+      // Disabled again while restarting the device
+      if (!track.enabled) return trackStop(newTrack)
+
+      delete hardMuted[kind]
+      replaceTrack(kind, newTrack, logError)
+    }).catch(function (error) {
+      stopped.restarting = false
+      logger.error('Could not restart the ' + kind + ' device:', error)
+    })
+  }
+
+  this.on('_enabled', function (kind, enabled) {
+    if (hardMute) hardMuteDevice(kind, enabled)
+  })
+
+  // The same listener is added only once to each track
+  function watchLocalTrack(track) {
+    if (track) track.addEventListener('ended', onlocaltrackended)
+  }
+
+  function ondevicechange() {
+    listDevices({
+      webrtc: webrtc,
+      logger: logger
+    }, function (error, devices) {
+      if (error) return logger.error(error)
+
+      self.emit('devicechange', devices)
+    })
+  }
+
+  var mediaDevices = webrtc.mediaDevices
+  if (mediaDevices && mediaDevices.addEventListener) {
+    mediaDevices.addEventListener('devicechange', ondevicechange)
+  }
+
+  /**
+   * Start sending a new track mid-call, like adding video to an audio-only
+   * call or sharing the screen. The session needs to be renegotiated, that
+   * can be managed with the `renegotiation` option.
+   *
+   * @function module:kurentoUtils.WebRtcPeer.prototype.addTrack
+   *
+   * @param {MediaStreamTrack} track
+   * @param {MediaStream} [stream] - Stream of the track. By default, the local
+   *  one
+   *
+   * @return {RTCRtpSender}
+   */
+  this.addTrack = function (track, stream) {
+    if (!stream) {
+      stream = videoStream || audioStream
+      if (stream) stream.addTrack(track)
+    }
+
+    var sender = stream ? pc.addTrack(track, stream) : pc.addTrack(track)
+    watchLocalTrack(track)
+
+    if (mode === 'sendonly') {
+      pc.getTransceivers().forEach(function (transceiver) {
+        if (transceiver.sender === sender) transceiver.direction =
+          'sendonly'
+      })
+    }
+
+    if (track.kind === 'video' && localVideo && videoStream) {
+      self.showLocalVideo()
+    }
+
+    updateRecording()
+    updateVoiceActivity()
+
+    logger.debug('Added local ' + track.kind + ' track', track)
+    return sender
+  }
+
+  /**
+   * Stop sending a track mid-call. The track is not stopped, and the session
+   * needs to be renegotiated.
+   *
+   * @function module:kurentoUtils.WebRtcPeer.prototype.removeTrack
+   *
+   * @param {MediaStreamTrack} track
+   */
+  this.removeTrack = function (track) {
+    pc.getSenders().forEach(function (sender) {
+      if (sender.track === track) pc.removeTrack(sender)
+    })
+
+    if (videoStream) videoStream.removeTrack(track)
+    if (audioStream) audioStream.removeTrack(track)
+
+    updateRecording()
+    updateVoiceActivity()
+
+    logger.debug('Removed local ' + track.kind + ' track', track)
+  }
+
+  function getLiveTracks(tracks) {
+    return tracks.filter(function (track) {
+      return track && track.readyState !== 'ended'
+    })
+  }
+
+  /**
+   * Get the tracks to record from a source: the ones being sent for 'local',
+   * the received ones for 'remote', and the audio of both with the received
+   * video for 'mixed'
+   */
+  function getRecordingTracks(source) {
+    var local = getLiveTracks(pc.getSenders().map(function (sender) {
+      return sender.track
+    }))
+
+    var remote = []
+    self.getRemoteStreams().forEach(function (stream) {
+      remote = remote.concat(getLiveTracks(stream.getTracks()))
+    })
+
+    function ofKind(tracks, kind) {
+      return tracks.filter(function (track) {
+        return track.kind === kind
+      })
+    }
+
+    var video = source === 'local' ? local : remote
+    var audio = source === 'mixed' ? local.concat(remote) : video
+
+    return {
+      audio: ofKind(audio, 'audio'),
+      video: ofKind(video, 'video')[0]
+    }
+  }
+
+  /**
+   * Get the kinds of media negotiated for a recording source, that can have
+   * tracks later even if they have none yet
+   */
+  function getRecordingKinds(source) {
+    var kinds = []
+
+    pc.getTransceivers().forEach(function (transceiver) {
+      var kind = transceiver.receiver.track.kind
+      var direction = transceiver.direction
+
+      var sends = direction === 'sendrecv' || direction === 'sendonly'
+      var receives = direction === 'sendrecv' || direction === 'recvonly'
+
+      var local = source === 'local'
+      var remote = !local
+
+      // The mixed recording has the local audio, but not the local video
+      if (source === 'mixed' && kind === 'audio') local = true
+
+      if (kinds.indexOf(kind) >= 0) return
+      if (local && sends || remote && receives) kinds.push(kind)
+    })
+
+    return kinds
+  }
+
+  function updateRecording() {
+    if (!recording) return
+
+    recording.stream.update().forEach(function (kind) {
+      if (recording.unrecorded.indexOf(kind) >= 0) return
+
+      recording.unrecorded.push(kind)
+      logger.warn('The ' + kind + ' tracks added while recording are not',
+        'recorded, restart the recording to include them')
+    })
+  }
+
+  /**
+   * Record the local, remote or both (mixed) media of the session in the
+   * browser. The recorded data is emitted in `recordingdata` events, and the
+   * recording keeps going when the tracks are replaced.
+   *
+   * @function module:kurentoUtils.WebRtcPeer.prototype.startRecording
+   *
+   * @param {Object} [options]
+   * @param {String} [options.source='mixed'] - 'local', 'remote' or 'mixed',
+   *  that records the local and remote audio together with the remote video
+   * @param {String} [options.mimeType] - Format of the recording, by default
+   *  the one chosen by the browser
+   * @param {Number} [options.timeslice] - Milliseconds of each chunk of data
+   * @param {String[]} [options.kinds] - Kinds of media to record even if
+   *  there are no tracks of them yet, by default the ones negotiated for the
+   *  source. The tracks of other kinds added later are not recorded
+   *
+   * @throws {Error} Already recording, or the recording is not supported
+   */
+  this.startRecording = function (options) {
+    options = options || {}
+
+    var source = options.source || 'mixed'
+    var mimeType = options.mimeType
+
+    if (recording) throw new Error('Already recording')
+    if (RECORDING_SOURCES.indexOf(source) < 0) {
+      throw new Error('Unknown recording source: ' + source)
+    }
+    var MediaRecorder = webrtc.MediaRecorder
+    if (MediaRecorder === undefined) {
+      throw new Error('Recording is not supported by this browser')
+    }
+    if (mimeType && !MediaRecorder.isTypeSupported(mimeType)) {
+      throw new Error('Recording as ' + mimeType + ' is not supported')
+    }
+
+    var stream = new RecordingStream(function () {
+      return getRecordingTracks(source)
+    }, {
+      kinds: options.kinds || getRecordingKinds(source),
+      webrtc: webrtc
+    })
+
+    if (!stream.stream.getTracks().length) {
+      stream.close()
+      throw new Error('There is no ' + source + ' media to record')
+    }
+
+    var recorderOptions = mimeType ? {
+      mimeType: mimeType
+    } : undefined
+
+    var recorder = new MediaRecorder(stream.stream, recorderOptions)
+
+    var chunks = []
+    var callbacks = []
+
+    recorder.ondataavailable = function (event) {
+      if (!event.data.size) return
+
+      chunks.push(event.data)
+      self.emit('recordingdata', event.data)
+    }
+
+    recorder.onerror = function (event) {
+      logger.error('Recording failed:', event.error)
+    }
+
+    recorder.onstop = function () {
+      var blob = new webrtc.Blob(chunks, {
+        type: recorder.mimeType || mimeType
+      })
+
+      stream.close()
+      recording = undefined
+
+      callbacks.forEach(function (callback) {
+        callback(null, blob)
+      })
+    }
+
+    recording = {
+      recorder: recorder,
+      stream: stream,
+      callbacks: callbacks,
+      unrecorded: []
+    }
+
+    recorder.start(options.timeslice)
+    logger.debug('Recording', source, 'media as', recorder.mimeType)
+  }
+
+  /**
+   * Stop the recording started with startRecording
+   *
+   * @function module:kurentoUtils.WebRtcPeer.prototype.stopRecording
+   *
+   * @param callback - Invoked with a Blob of the whole recording, or with an
+   *  error.
+   *
+   * @return {(Promise<Blob>|undefined)} If no callback is given, a Promise
+   *  resolved with a Blob of the whole recording
+   */
+  this.stopRecording = function (callback) {
+    if (!callback) return promisify(this.stopRecording.bind(this))
+
+    callback = callback.bind(this)
+
+    if (!recording) return callback(new Error('Not recording'))
+
+    recording.callbacks.push(callback)
+
+    var recorder = recording.recorder
+    if (recorder.state !== 'inactive') recorder.stop()
+  }
+
+  function getTrack(source, kind) {
+    var local = source === 'local'
+    var endpoints = local ? pc.getSenders() : pc.getReceivers()
+
+    var tracks = endpoints.map(function (endpoint) {
+      return endpoint.track
+    })
+
+    return getLiveTracks(tracks).filter(function (track) {
+      return track.kind === kind
+    })[0]
+  }
+
+  /**
+   * Capture a frame of the local or remote video, without needing it to be
+   * shown on a media element.
+   *
+   * @function module:kurentoUtils.WebRtcPeer.prototype.captureFrame
+   *
+   * @param {Object} [options]
+   * @param {String} [options.source='remote'] - 'local' or 'remote'
+   * @param {String} [options.format='image/png'] - MIME type of the image, or
+   *  'imagebitmap' to get an ImageBitmap
+   * @param {Number} [options.quality] - Between 0 and 1, for lossy formats
+   * @param {Number} [options.width] - Width of the image. If only one of the
+   *  dimensions is given, the aspect ratio of the video is kept
+   * @param {Number} [options.height] - Height of the image
+   * @param callback - Invoked with the image, or with an error.
+   *
+   * @return {(Promise<(Blob|ImageBitmap)>|undefined)} If no callback is given,
+   *  a Promise resolved with the image
+   */
+  this.captureFrame = function (options, callback) {
+    if (options instanceof Function) {
+      callback = options
+      options = undefined
+    }
+
+    if (!callback) return promisify(this.captureFrame.bind(this, options))
+
+    callback = callback.bind(this)
+
+    var source = (options && options.source) || 'remote'
+
+    var track = getTrack(source, 'video')
+
+    captureFrame(track, options, webrtc).then(function (frame) {
+      callback(null, frame)
+    }, callback)
+  }
+
+  /**
+   * Capture frames periodically, emitting them in `frame` events with their
+   * source. Capture errors are logged, and the capture goes on.
+   *
+   * @function module:kurentoUtils.WebRtcPeer.prototype.startFrameCapture
+   *
+   * @param {Object} [options] - Options of captureFrame, and the `interval`
+   *  between captures in milliseconds (1000 by default)
+   */
+  this.startFrameCapture = function (options) {
+    options = options || {}
+
+    var source = options.source || 'remote'
+
+    self.stopFrameCapture()
+
+    frameCaptureInterval = setInterval(function () {
+      self.captureFrame(options, function (error, frame) {
+        if (error) return logger.warn('Frame capture failed:', error)
+
+        self.emit('frame', frame, source)
+      })
+    }, options.interval || FRAME_CAPTURE_INTERVAL)
+  }
+
+  /**
+   * @function module:kurentoUtils.WebRtcPeer.prototype.stopFrameCapture
+   */
+  this.stopFrameCapture = function () {
+    clearInterval(frameCaptureInterval)
+    frameCaptureInterval = undefined
+  }
+
+  function stopHarker(side) {
+    var harker = harkers[side].harker
+
+    // It emits `stopped_speaking` if there was voice
+    harker.stop()
+    delete harkers[side]
+  }
+
+  /**
+   * Listen to the current audio track of each side, after it was replaced
+   */
+  function updateVoiceActivity() {
+    if (!voiceActivity) return
+
+    voiceActivity.sides.forEach(function (side) {
+      var track = getTrack(side, 'audio')
+
+      if (harkers[side]) {
+        if (harkers[side].track === track) return
+
+        stopHarker(side)
+      }
+
+      if (!track) return
+
+      var stream = new webrtc.MediaStream([track])
+      var harker = hark(stream, voiceActivity.harkOptions)
+
+      harker.on('speaking', function () {
+        self.emit('speaking', side)
+      })
+      harker.on('stopped_speaking', function () {
+        self.emit('stoppedspeaking', side)
+      })
+      harker.on('volume_change', function (volume, threshold) {
+        self.emit('volume', volume, threshold, side)
+      })
+
+      harkers[side] = {
+        track: track,
+        harker: harker
+      }
+    })
+  }
+
+  /**
+   * Set the maximum bitrate of the sent media of a kind. For simulcast, it's
+   * applied to each one of the layers that don't have a lower one
+   */
+  function applyMaxBitrate(kind) {
+    var sender = getSender(kind)
+    if (!sender) return Promise.resolve()
+
+    var parameters = sender.getParameters()
+
+    // Encodings are not available until the SDP negotiation has been done
+    if (!parameters.encodings || !parameters.encodings.length) {
+      return Promise.resolve()
+    }
+
+    parameters.encodings.forEach(function (encoding, index) {
+      var limit = maxBitrates[kind]
+
+      var layer = kind === 'video' && simulcastEncodings &&
+        simulcastEncodings[index]
+      if (layer && layer.maxBitrate) {
+        limit = limit ? Math.min(limit, layer.maxBitrate) : layer.maxBitrate
+      }
+
+      if (limit) {
+        encoding.maxBitrate = limit
+      } else {
+        delete encoding.maxBitrate
+      }
+    })
+
+    return sender.setParameters(parameters)
+  }
+
+  function applyMaxBitrates() {
+    var kinds = Object.keys(maxBitrates).filter(function (kind) {
+      return maxBitrates[kind]
+    })
+
+    return Promise.all(kinds.map(applyMaxBitrate)).catch(function (error) {
+      logger.warn('Error setting the maximum bitrate', error)
+    })
+  }
+
+  /**
+   * Set the maximum bitrate of the media of a kind. The sent media is limited
+   * immediately, while the limit of the received media is requested to the
+   * remote peer on the next SDP negotiation.
+   *
+   * @function module:kurentoUtils.WebRtcPeer.prototype.setMaxBitrate
+   *
+   * @param {String} kind - 'audio' or 'video'
+   * @param {Number} bitrate - Bits per second, or 0 to remove the limit
+   * @param callback - Invoked after the limit has been applied, or there is an
+   *  error.
+   *
+   * @return {(Promise|undefined)} If no callback is given, a Promise resolved
+   *  after the limit has been applied
+   */
+  this.setMaxBitrate = function (kind, bitrate, callback) {
+    if (!callback) {
+      return promisify(this.setMaxBitrate.bind(this, kind, bitrate))
+    }
+
+    callback = callback.bind(this)
+
+    if (!maxBitrates.hasOwnProperty(kind)) {
+      return callback(new Error('Invalid media kind: ' + kind))
+    }
+
+    maxBitrates[kind] = bitrate || undefined
+
+    applyMaxBitrate(kind).then(function () {
+      callback()
+    }, callback)
+  }
+
+  /**
+   * Get the maximum bitrate of the media of a kind.
+   *
+   * @function module:kurentoUtils.WebRtcPeer.prototype.getMaxBitrate
+   *
+   * @param {String} kind - 'audio' or 'video'
+   *
+   * @return {(Number|undefined)} Bits per second, or undefined if there's no
+   *  limit
+   */
+  this.getMaxBitrate = function (kind) {
+    if (maxBitrates.hasOwnProperty(kind)) return maxBitrates[kind]
+  }
+
+  function addDataChannel(channel) {
+    var result = new DataChannel(channel, {
+      logger: logger
+    })
+
+    if (dataChannels[channel.label]) {
+      logger.warn('Replacing data channel "' + channel.label + '"')
+    }
+    dataChannels[channel.label] = result
+
+    result.on('close', function () {
+      if (dataChannels[channel.label] === result) {
+        delete dataChannels[channel.label]
+      }
+    })
+
+    if (channel.protocol === FileTransfers.PROTOCOL) {
+      fileTransfers.addChannel(result)
+    }
+
+    return result
+  }
+
+  /**
+   * Create a new data channel. Channels created by the remote peer are
+   * emitted in `datachannel` events.
+   *
+   * @function module:kurentoUtils.WebRtcPeer.prototype.createDataChannel
+   *
+   * @param {String} label - Name of the data channel, unique for this peer
+   * @param {Object} [options] - RTCDataChannelInit options, like `negotiated`
+   *  and `id` for channels negotiated by the application, and the
+   *  `reliability` preset: 'reliable' (default), 'unordered', 'partial'
+   *  (retransmitted for up to 500ms) or 'unreliable' (never retransmitted).
+   *  With the `messaging` option, messages are framed to support JSON values,
+   *  requests and big binary messages. It must be used on both peers
+   *
+   * @return {module:kurentoUtils.WebRtcPeer.DataChannel}
+   */
+  function createDataChannel(label, options) {
+    if (dataChannels[label]) {
+      throw new Error('Data channel "' + label + '" already exists')
+    }
+
+    return addDataChannel(pc.createDataChannel(label, DataChannel.getInit(
+      options)))
+  }
+  this.createDataChannel = createDataChannel
+
+  /**
+   * @function module:kurentoUtils.WebRtcPeer.prototype.getDataChannel
+   *
+   * @param {String} label - Name of the data channel
+   *
+   * @return {(module:kurentoUtils.WebRtcPeer.DataChannel|undefined)}
+   */
+  this.getDataChannel = function (label) {
+    return dataChannels[label]
+  }
+
+  pc.addEventListener('datachannel', function (event) {
+    self.emit('datachannel', addDataChannel(event.channel))
+  })
+
+  /**
+   * Send data over a data channel. If it's not open yet, data is queued and
+   * sent when it gets opened.
+   *
+   * @function module:kurentoUtils.WebRtcPeer.prototype.send
+   *
+   * @param data - String, Blob, ArrayBuffer or ArrayBufferView to send
+   * @param {String} [label] - Name of the data channel. By default, the one
+   *  created with the `dataChannels` option
+   */
+  this.send = function (data, label) {
+    var channel = dataChannels[label || (dataChannel && dataChannel.label)]
+    if (channel && (channel.readyState === 'connecting' || channel
+        .readyState === 'open')) {
+      channel.send(data)
     } else {
       logger.warn(
         'Trying to send data over a non-existing or closed data channel')
     }
   }
 
+  /**
+   * Send a file over a data channel, in chunks acknowledged by the remote peer
+   * that gets it in a `file` event. Both peers get a
+   * {@link module:kurentoUtils.WebRtcPeer.FileTransfer} object to follow its
+   * progress or cancel it.
+   *
+   * If the data channel gets closed before the file is sent, the transfer is
+   * resumed from the last acknowledged chunk when a channel with the same
+   * label gets opened again, by either peer.
+   *
+   * @function module:kurentoUtils.WebRtcPeer.prototype.sendFile
+   *
+   * @param {(File|Blob)} file
+   * @param {Object} [options]
+   * @param {String} [options.label='files'] - Name of the data channel. It's
+   *  created if it doesn't exist
+   * @param {Function} [callback] - Invoked when the file has been received
+   *  and its checksum verified by the remote peer, or with an error, also if
+   *  the data channel with the given label was not created to send files
+   *
+   * @return {module:kurentoUtils.WebRtcPeer.FileTransfer}
+   */
+  this.sendFile = function (file, options, callback) {
+    if (options instanceof Function) {
+      callback = options
+      options = undefined
+    }
+
+    var label = (options && options.label) || FileTransfers.DEFAULT_LABEL
+
+    var channel = dataChannels[label]
+    if (!channel) {
+      channel = createDataChannel(label, {
+        protocol: FileTransfers.PROTOCOL
+      })
+    }
+
+    var error
+    if (channel.channel.protocol !== FileTransfers.PROTOCOL) {
+      error = new Error('Data channel "' + label +
+        '" was not created to send files')
+    }
+
+    return fileTransfers.send(file, label, callback && callback.bind(this),
+      error)
+  }
+
   /**
    * Callback function invoked when a SDP answer is received. Developers are
    * expected to invoke this function in order to complete the SDP negotiation.
@@ -584,13 +2353,18 @@ function WebRtcPeer(mode, options, callback) {
    * @param sdpAnswer - Description of sdpAnswer
    * @param callback -
    *            Invoked after the SDP answer is processed, or there is an error.
+   *
+   * @return {(Promise|undefined)} If no callback is given, a Promise resolved
+   *  after the SDP answer is processed
    */
   this.processAnswer = function (sdpAnswer, callback) {
-    callback = (callback || noop).bind(this)
+    if (!callback) return promisify(this.processAnswer.bind(this, sdpAnswer))
+
+    callback = callback.bind(this)
 
-    var answer = new RTCSessionDescription({
+    var answer = new webrtc.RTCSessionDescription({
       type: 'answer',
-      sdp: sdpAnswer
+      sdp: filterCandidates(sdpAnswer, 'remote')
     })
 
     if (multistream && usePlanB) {
@@ -602,7 +2376,7 @@ function WebRtcPeer(mode, options, callback) {
     logger.debug('SDP answer received, setting remote description')
 
     if (pc.signalingState === 'closed') {
-      return callback('PeerConnection is closed')
+      return callback(new Error('PeerConnection is closed'))
     }
 
     pc.setRemoteDescription(answer).then(function () {
@@ -622,13 +2396,18 @@ function WebRtcPeer(mode, options, callback) {
    * @param sdpOffer - Description of sdpOffer
    * @param callback - Called when the remote description has been set
    *  successfully.
+   *
+   * @return {(Promise<String>|undefined)} If no callback is given, a Promise
+   *  resolved with the SDP answer
    */
   this.processOffer = function (sdpOffer, callback) {
+    if (!callback) return promisify(this.processOffer.bind(this, sdpOffer))
+
     callback = callback.bind(this)
 
-    var offer = new RTCSessionDescription({
+    var offer = new webrtc.RTCSessionDescription({
       type: 'offer',
-      sdp: sdpOffer
+      sdp: filterCandidates(sdpOffer, 'remote')
     })
 
     if (multistream && usePlanB) {
@@ -640,18 +2419,43 @@ function WebRtcPeer(mode, options, callback) {
     logger.debug('SDP offer received, setting remote description')
 
     if (pc.signalingState === 'closed') {
-      return callback('PeerConnection is closed')
+      return callback(new Error('PeerConnection is closed'))
+    }
+
+    var collision = renegotiation && (makingOffer || pc.signalingState !==
+      'stable')
+
+    ignoreOffer = collision && !polite
+    if (ignoreOffer) {
+      logger.debug('Ignoring SDP offer colliding with the local one')
+      return callback(new Error('SDP offer ignored, it collides with ours'))
+    }
+
+    if (simulcast) {
+      logger.warn('Simulcast is only sent when generating the SDP offer')
     }
 
-    pc.setRemoteDescription(offer).then(function () {
+    // Roll back our SDP offer, the remote one wins. It can be still being
+    // created, so wait for it to be set before
+    var rollback = collision ? offerSet.then(function () {
+      if (pc.signalingState === 'have-local-offer') {
+        return pc.setLocalDescription({
+          type: 'rollback'
+        })
+      }
+    }) : Promise.resolve()
+
+    rollback.then(function () {
+      return pc.setRemoteDescription(offer)
+    }).then(function () {
       return setRemoteVideo()
     }).then(function () {
+      setCodecPreferences()
       return pc.createAnswer()
     }).then(function (answer) {
-      answer = mangleSdpToAddSimulcast(answer)
       logger.debug('Created SDP answer')
-      return pc.setLocalDescription(answer)
-    }).then(function () {
+      return pc.setLocalDescription(mangleSdp(answer))
+    }).then(applyMaxBitrates).then(waitIceGathering).then(function () {
       var localDescription = pc.localDescription
       if (multistream && usePlanB) {
         localDescription = interop.toUnifiedPlan(localDescription)
@@ -659,25 +2463,189 @@ function WebRtcPeer(mode, options, callback) {
           localDescription))
       }
       logger.debug('Local description set\n', localDescription.sdp)
-      callback(null, localDescription.sdp)
+      callback(null, filterCandidates(localDescription.sdp, 'local'))
     }).catch(callback)
   }
 
-  function mangleSdpToAddSimulcast(answer) {
-    if (simulcast) {
-      if (browser.name === 'Chrome' || browser.name === 'Chromium') {
-        logger.debug('Adding multicast info')
-        answer = new RTCSessionDescription({
-          'type': answer.type,
-          'sdp': removeFIDFromOffer(answer.sdp) + getSimulcastInfo(
-            videoStream)
+  /**
+   * Generate the SDP offers of the renegotiations after the first one
+   */
+  function onnegotiationneeded() {
+    // The first negotiation is started by the application
+    if (!pc.remoteDescription || pc.signalingState !== 'stable') return
+
+    makingOffer = true
+    generateOffer(undefined, function (error, sdpOffer) {
+      makingOffer = false
+
+      if (error) return logger.error('Renegotiation failed:', error)
+
+      // Rolled back for a colliding remote SDP offer, negotiation will be
+      // needed again after answering it
+      if (pc.signalingState !== 'have-local-offer') {
+        return logger.debug(
+          'Dropping the SDP offer, it has been rolled back')
+      }
+
+      self.emit('negotiationneeded', sdpOffer)
+    })
+  }
+
+  var detachSignaling
+
+  /**
+   * Negotiate the connection with the remote peer over a signaling transport,
+   * using the same messages as the Kurento tutorials: the SDP offer is sent in
+   * a `{id: 'start', sdpOffer}` one, and the local ICE candidates in
+   * `{id: 'onIceCandidate', candidate}` ones. The SDP answer is expected in a
+   * `startResponse` or `sdpAnswer` message with a `sdpAnswer` field, the
+   * remote ICE candidates in `iceCandidate` ones with a `candidate` field,
+   * and errors in `error` ones with a `message` field.
+   *
+   * @function module:kurentoUtils.WebRtcPeer.prototype.attachSignaling
+   *
+   * @param transport - Object with a `send(message)` method that emits the
+   *  received messages in `message` events, like a
+   *  {@link module:kurentoUtils.WebSocketSignaling}
+   * @param callback - Invoked when the SDP answer has been processed, or with
+   *  an error.
+   *
+   * @return {(Promise|undefined)} If no callback is given, a Promise resolved
+   *  when the SDP answer has been processed
+   */
+  this.attachSignaling = function (transport, callback) {
+    if (!callback) return promisify(this.attachSignaling.bind(this,
+      transport))
+
+    callback = callback.bind(this)
+
+    if (detachSignaling) detachSignaling()
+
+    var answered = false
+
+    function onanswer(error) {
+      if (answered) {
+        if (error) logger.error(error)
+        return
+      }
+
+      answered = true
+      callback(error)
+    }
+
+    function send(message) {
+      try {
+        transport.send(message)
+      } catch (error) {
+        onanswer(error)
+      }
+    }
+
+    function onmessage(message) {
+      switch (message.id) {
+      case 'startResponse':
+      case 'sdpAnswer':
+        self.processAnswer(message.sdpAnswer, onanswer)
+        break
+
+      case 'iceCandidate':
+        self.addIceCandidate(message.candidate, function (error) {
+          if (error) logger.error(error)
         })
-      } else {
-        logger.warn('Simulcast is only available in Chrome browser.')
+        break
+
+      case 'error':
+        onanswer(new Error(message.message))
+        break
+      }
+    }
+
+    function onicecandidate(candidate) {
+      send({
+        id: 'onIceCandidate',
+        candidate: candidate
+      })
+    }
+
+    transport.on('message', onmessage)
+
+    function attached() {
+      transport.removeListener('message', onmessage)
+      self.removeListener('icecandidate', onicecandidate)
+
+      detachSignaling = undefined
+    }
+    detachSignaling = attached
+
+    generateOffer(undefined, function (error, sdpOffer) {
+      if (error) return onanswer(error)
+
+      // Detached while generating the offer
+      if (detachSignaling !== attached) return
+
+      send({
+        id: 'start',
+        sdpOffer: sdpOffer
+      })
+
+      // Candidates gathered until now are queued and emitted after the offer
+      self.on('icecandidate', onicecandidate)
+    })
+  }
+
+  /**
+   * Stop exchanging messages with the signaling transport
+   *
+   * @function module:kurentoUtils.WebRtcPeer.prototype.detachSignaling
+   */
+  this.detachSignaling = function () {
+    if (detachSignaling) detachSignaling()
+  }
+
+  /**
+   * Set the codec preferences on the transceivers, if the browser supports it
+   */
+  function setCodecPreferences() {
+    if (!codecPreferences || !hasSetCodecPreferences(webrtc)) return
+
+    pc.getTransceivers().forEach(function (transceiver) {
+      var kind = transceiver.receiver.track.kind
+
+      var preferences = codecPreferences[kind]
+      if (!preferences) return
+
+      var codecs = webrtc.RTCRtpReceiver.getCapabilities(kind).codecs
+      transceiver.setCodecPreferences(sdp.sortCodecs(codecs, preferences))
+    })
+  }
+
+  /**
+   * Modify a SDP offer or answer before setting it as local description, to
+   * apply the codec preferences if the browser doesn't support
+   * setCodecPreferences(), and to ask the remote peer to limit its bitrate
+   */
+  function mangleSdp(description) {
+    var result = description.sdp
+    var kind
+
+    if (codecPreferences && !hasSetCodecPreferences(webrtc)) {
+      for (kind in codecPreferences) {
+        result = sdp.preferCodecs(result, kind, codecPreferences[kind])
+      }
+    }
+
+    for (kind in maxBitrates) {
+      if (maxBitrates[kind]) {
+        result = sdp.setBandwidth(result, kind, maxBitrates[kind])
       }
     }
 
-    return answer
+    if (result === description.sdp) return description
+
+    return new webrtc.RTCSessionDescription({
+      type: description.type,
+      sdp: result
+    })
   }
 
   /**
@@ -689,18 +2657,35 @@ function WebRtcPeer(mode, options, callback) {
    */
   function start() {
     if (pc.signalingState === 'closed') {
-      callback(
+      return callback(new Error(
         'The peer connection object is in "closed" state. This is most likely due to an invocation of the dispose method before accepting in the dialogue'
-      )
+      ))
     }
 
     if (videoStream && localVideo) {
       self.showLocalVideo()
     }
 
+    if (videoStream && options.contentHint) {
+      videoStream.getVideoTracks().forEach(function (track) {
+        track.contentHint = options.contentHint
+      })
+    }
+
     if (videoStream) {
       videoStream.getTracks().forEach(function (track) {
-        pc.addTrack(track, videoStream);
+        // Simulcast layers are defined when creating the transceiver, so the
+        // SDP offer includes their RIDs
+        if (simulcast && track.kind === 'video') {
+          logger.debug('Adding simulcast layers')
+
+          pc.addTransceiver(track, {
+            streams: [videoStream],
+            sendEncodings: simulcastEncodings
+          })
+        } else {
+          pc.addTrack(track, videoStream);
+        }
       });
     }
 
@@ -710,23 +2695,30 @@ function WebRtcPeer(mode, options, callback) {
       });
     }
 
+    pc.getSenders().forEach(function (sender) {
+      watchLocalTrack(sender.track)
+    })
+
+    updateVoiceActivity()
+
     callback()
   }
 
   if (mode !== 'recvonly' && !videoStream && !audioStream) {
-    function getMedia(constraints) {
+    var getMedia = function (constraints) {
       if (constraints === undefined) {
         constraints = MEDIA_CONSTRAINTS
       }
       if (typeof AdapterJS !== 'undefined' && AdapterJS
-        .webrtcDetectedBrowser === 'IE' && AdapterJS.webrtcDetectedVersion >= 9
+        .webrtcDetectedBrowser === 'IE' && AdapterJS.webrtcDetectedVersion >=
+        9
       ) {
         navigator.getUserMedia(constraints, function (stream) {
           videoStream = stream;
           start();
         }, callback);
       } else {
-        navigator.mediaDevices.getUserMedia(constraints).then(function (
+        webrtc.mediaDevices.getUserMedia(constraints).then(function (
           stream) {
           videoStream = stream;
 
@@ -734,14 +2726,54 @@ function WebRtcPeer(mode, options, callback) {
         }).catch(callback);
       }
     }
+
+    var getDisplayMedia = function () {
+      var video = (mediaConstraints && typeof mediaConstraints.video ===
+        'object') ? mediaConstraints.video : {}
+
+      webrtc.mediaDevices.getDisplayMedia({
+        video: recursive({}, video, {
+          displaySurface: DISPLAY_SURFACES[sendSource]
+        }),
+        audio: !!options.screenAudio
+      }).then(function (stream) {
+        videoStream = stream;
+
+        // Fired when the user clicks the browser's "Stop sharing" button
+        stream.getVideoTracks()[0].addEventListener('ended', function () {
+          self.emit('screenended')
+        })
+
+        // Microphone is captured separately from the screen
+        if (!(mediaConstraints && mediaConstraints.audio)) return
+
+        return webrtc.mediaDevices.getUserMedia({
+          audio: mediaConstraints.audio
+        }).then(function (stream) {
+          audioStream = stream;
+        })
+      }).then(function () {
+        start();
+      }).catch(function (error) {
+        // The screen capture is not sent yet, so dispose() would not stop it
+        if (videoStream) streamStop(videoStream)
+
+        callback(error)
+      });
+    }
+
     if (sendSource === 'webcam') {
       getMedia(mediaConstraints)
+    } else if (DISPLAY_SURFACES[sendSource] && hasDisplayMedia(webrtc)) {
+      getDisplayMedia()
     } else {
+      if (!hasScreenExtensions) logger.warn('screen sharing is not available')
+
       getScreenConstraints(sendSource, function (error, constraints_) {
         if (error)
           return callback(error)
 
-        constraints = [mediaConstraints]
+        var constraints = [mediaConstraints]
         constraints.unshift(constraints_)
         getMedia(recursive.apply(undefined, constraints))
       }, guid)
@@ -750,7 +2782,22 @@ function WebRtcPeer(mode, options, callback) {
     setTimeout(start, 0)
   }
 
-  this.on('_dispose', function () {
+  this.once('_dispose', function () {
+    stopConnectionRecovery()
+    self.stopStats()
+    addIceCandidate.close()
+    fileTransfers.close()
+    self.detachSignaling()
+    self.stopFrameCapture()
+    Object.keys(harkers).forEach(stopHarker)
+    if (mediaDevices && mediaDevices.removeEventListener) {
+      mediaDevices.removeEventListener('devicechange', ondevicechange)
+    }
+    if (recording && recording.recorder.state !== 'inactive') {
+      recording.recorder.stop()
+    }
+    dataChannels = {}
+
     if (localVideo) {
       localVideo.pause();
       localVideo.srcObject = null;
@@ -769,6 +2816,12 @@ function WebRtcPeer(mode, options, callback) {
 
       }
     }
+    Object.keys(remoteElements).forEach(function (key) {
+      remoteElements[key].srcObject = null
+    })
+    remoteElements = {}
+    remoteStreams = {}
+    midStreams = {}
     self.removeAllListeners();
 
     if (typeof window !== 'undefined' && window.cancelChooseDesktopMedia !==
@@ -779,28 +2832,43 @@ function WebRtcPeer(mode, options, callback) {
 }
 inherits(WebRtcPeer, EventEmitter)
 
+/**
+ * Property to enable or disable the local tracks of a kind, emitting
+ * `localmute` or `localunmute` with the kind when its state changes. It's
+ * undefined when only some of the tracks are enabled.
+ */
 function createEnableDescriptor(type) {
   var method = 'get' + type + 'Tracks'
+  var kind = type.toLowerCase()
 
   return {
     enumerable: true,
     get: function () {
-      // [ToDo] Should return undefined if not all tracks have the same value?
-
       if (!this.peerConnection) return
 
       var streams = this.peerConnection.getLocalStreams()
       if (!streams.length) return
 
-      for (var i = 0, stream; stream = streams[i]; i++) {
-        var tracks = stream[method]()
-        for (var j = 0, track; track = tracks[j]; j++)
-          if (!track.enabled) return false
-      }
+      var enabled = 0
+      var disabled = 0
 
-      return true
+      streams.forEach(function (stream) {
+        stream[method]().forEach(function (track) {
+          if (track.enabled) {
+            enabled++
+          } else {
+            disabled++
+          }
+        })
+      })
+
+      if (enabled && disabled) return
+
+      return !disabled
     },
     set: function (value) {
+      var previous = this[kind + 'Enabled']
+
       function trackSetEnable(track) {
         track.enabled = value
       }
@@ -808,6 +2876,14 @@ function createEnableDescriptor(type) {
       this.peerConnection.getLocalStreams().forEach(function (stream) {
         stream[method]().forEach(trackSetEnable)
       })
+
+      // Stop or restart the devices when using hard mute
+      this.emit('_enabled', kind, !!value)
+
+      var current = this[kind + 'Enabled']
+      if (current !== previous) {
+        this.emit(current ? 'localunmute' : 'localmute', kind)
+      }
     }
   }
 }
@@ -832,10 +2908,16 @@ WebRtcPeer.prototype.getLocalStream = function (index) {
   }
 }
 
+/**
+ * @function module:kurentoUtils.WebRtcPeer.prototype.getRemoteStream
+ *
+ * @param {Number} [index=0]
+ *
+ * @return {(MediaStream|undefined)} The remote stream at the given position
+ *  of the ones returned by getRemoteStreams()
+ */
 WebRtcPeer.prototype.getRemoteStream = function (index) {
-  if (this.peerConnection) {
-    return this.peerConnection.getRemoteStreams()[index || 0]
-  }
+  return this.getRemoteStreams()[index || 0]
 }
 
 /**
@@ -844,20 +2926,17 @@ WebRtcPeer.prototype.getRemoteStream = function (index) {
  * @function module:kurentoUtils.WebRtcPeer.prototype.dispose
  */
 WebRtcPeer.prototype.dispose = function () {
+  var logger = this.logger
+
   logger.debug('Disposing WebRtcPeer')
 
   var pc = this.peerConnection
   var dc = this.dataChannel
   try {
-    if (dc) {
-      if (dc.readyState === 'closed') return
-
-      dc.close()
-    }
-
-    if (pc) {
-      if (pc.signalingState === 'closed') return
+    // They can be already closed, but the other resources are still freed
+    if (dc && dc.readyState !== 'closed') dc.close()
 
+    if (pc && pc.signalingState !== 'closed') {
       pc.getLocalStreams().forEach(streamStop)
 
       // FIXME This is not yet implemented in firefox
@@ -907,13 +2986,46 @@ function WebRtcPeerSendrecv(options, callback) {
 }
 inherits(WebRtcPeerSendrecv, WebRtcPeer)
 
+/**
+ * Create a WebRtcPeer and wait until it's ready to start the SDP negotiation,
+ * that's it, after the local media has been acquired and its tracks have been
+ * added to the RTCPeerConnection.
+ *
+ * @function module:kurentoUtils.WebRtcPeer.create
+ *
+ * @param {String} mode Mode in which the PeerConnection will be configured.
+ *  Valid values are: 'recvonly', 'sendonly', and 'sendrecv'
+ * @param {Object} [options] Same options accepted by the WebRtcPeer constructor
+ *
+ * @return {Promise<WebRtcPeer>} Rejected if the media could not be acquired,
+ *  in which case the WebRtcPeer is disposed
+ */
+function create(mode, options) {
+  return new Promise(function (resolve, reject) {
+    new WebRtcPeer(mode, options, function (error) {
+      if (error) {
+        this.dispose()
+        return reject(toError(error))
+      }
+
+      resolve(this)
+    })
+  })
+}
+
 function harkUtils(stream, options) {
   return hark(stream, options);
 }
 
 exports.bufferizeCandidates = bufferizeCandidates
+exports.create = create
 
 exports.WebRtcPeerRecvonly = WebRtcPeerRecvonly
 exports.WebRtcPeerSendonly = WebRtcPeerSendonly
 exports.WebRtcPeerSendrecv = WebRtcPeerSendrecv
+exports.DataChannel = DataChannel
+exports.FileTransfer = FileTransfers.FileTransfer
 exports.hark = harkUtils
+exports.listDevices = listDevices
+exports.setWebRtcImplementation = webrtcImplementation.setWebRtcImplementation
+exports.setLogger = logging.setLogger
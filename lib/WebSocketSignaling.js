@@ -0,0 +1,225 @@
+/*
+ * (C) Copyright 2026 Kurento (http://kurento.org/)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var inherits = require('inherits')
+var merge = require('merge')
+var createLogger = require('./logger').createLogger
+
+var EventEmitter = require('events').EventEmitter
+
+var RECONNECT = {
+  retries: Infinity,
+  delay: 1000,
+  maxDelay: 30000,
+  backoffFactor: 2
+}
+
+/**
+ * Signaling transport exchanging JSON messages over a WebSocket, like the
+ * Kurento tutorials do. It reconnects automatically when the connection gets
+ * lost, and messages sent while it's offline are queued and sent after
+ * reconnecting.
+ *
+ * It emits `open` on each (re)connection, `message` with each received
+ * message, `reconnecting` with the attempt number and the delay before it,
+ * `close` when it's closed or gives up reconnecting, and `error`.
+ *
+ * @constructor module:kurentoUtils.WebSocketSignaling
+ *
+ * @param {String} url
+ * @param {Object} [options]
+ * @param {(String|String[])} [options.protocols] - WebSocket subprotocols
+ * @param {Object} [options.reconnect] - `retries` (Infinity), `delay` before
+ *  the first attempt (1000ms), `maxDelay` (30000ms) and `backoffFactor` (2)
+ *  to apply to the delay on each attempt. Set to false to not reconnect
+ * @param {Function} [options.WebSocket] - WebSocket implementation, by
+ *  default the one of the browser
+ * @param {Boolean} [options.dropQueueOnReconnect] - Drop the messages queued
+ *  while reconnecting instead of sending them, for servers that start a new
+ *  session on each connection, where the ones of the lost session (like ICE
+ *  candidates) would fail
+ * @param {Object} [options.logger] - Logger, like the one of the WebRtcPeer
+ *  using it
+ */
+function WebSocketSignaling(url, options) {
+  if (!(this instanceof WebSocketSignaling)) {
+    return new WebSocketSignaling(url, options)
+  }
+
+  WebSocketSignaling.super_.call(this)
+
+  var self = this
+
+  options = options || {}
+
+  var reconnect = options.reconnect !== false && merge(true, RECONNECT,
+    options.reconnect)
+  var WebSocketImpl = options.WebSocket || WebSocket
+  var logger = options.logger || createLogger()
+
+  var ws
+  var queue = []
+  var attempts = 0
+  var timeout
+  var closed = false
+  var opened = false
+
+  Object.defineProperties(this, {
+    /**
+     * 'connecting', 'open' or 'closed'
+     *
+     * @member {String} readyState
+     */
+    'readyState': {
+      get: function () {
+        if (closed) return 'closed'
+
+        return (ws && ws.readyState === 1) ? 'open' : 'connecting'
+      }
+    },
+
+    /**
+     * Number of messages waiting to be sent
+     *
+     * @member {Number} queueLength
+     */
+    'queueLength': {
+      get: function () {
+        return queue.length
+      }
+    }
+  })
+
+  function emitError(error) {
+    // Don't throw if nobody is listening for errors
+    if (!EventEmitter.listenerCount(self, 'error')) {
+      return logger.error(error)
+    }
+
+    self.emit('error', error)
+  }
+
+  function flush() {
+    while (queue.length && ws && ws.readyState === 1) {
+      ws.send(queue[0])
+      queue.shift()
+    }
+  }
+
+  function onclose() {
+    ws = undefined
+
+    if (closed) return
+
+    if (!reconnect || attempts >= reconnect.retries) {
+      closed = true
+      queue = []
+
+      return self.emit('close')
+    }
+
+    var delay = Math.min(reconnect.delay * Math.pow(reconnect.backoffFactor,
+      attempts), reconnect.maxDelay)
+    attempts++
+
+    logger.debug('Reconnecting to', url, 'in', delay, 'ms')
+    self.emit('reconnecting', attempts, delay)
+
+    timeout = setTimeout(connect, delay)
+  }
+
+  function connect() {
+    timeout = undefined
+
+    try {
+      ws = new WebSocketImpl(url, options.protocols)
+    } catch (error) {
+      emitError(error)
+
+      return onclose()
+    }
+
+    ws.onopen = function () {
+      attempts = 0
+
+      if (opened && queue.length && options.dropQueueOnReconnect) {
+        logger.warn('Dropping', queue.length,
+          'messages queued while reconnecting to', url)
+        queue = []
+      }
+      opened = true
+
+      flush()
+      self.emit('open')
+    }
+
+    ws.onmessage = function (event) {
+      var message
+      try {
+        message = JSON.parse(event.data)
+      } catch (error) {
+        return emitError(new Error('Invalid signaling message: ' + event
+          .data))
+      }
+
+      self.emit('message', message)
+    }
+
+    ws.onerror = function () {
+      logger.debug('Error on the WebSocket connection to', url)
+    }
+
+    ws.onclose = onclose
+  }
+
+  /**
+   * Send a message, or queue it until the WebSocket is connected
+   *
+   * @function module:kurentoUtils.WebSocketSignaling.prototype.send
+   *
+   * @param {Object} message
+   *
+   * @throws {Error} The signaling is closed
+   */
+  this.send = function (message) {
+    if (closed) throw new Error('Signaling to ' + url + ' is closed')
+
+    queue.push(JSON.stringify(message))
+    flush()
+  }
+
+  /**
+   * Close the WebSocket without reconnecting, dropping the queued messages
+   *
+   * @function module:kurentoUtils.WebSocketSignaling.prototype.close
+   */
+  this.close = function () {
+    if (closed) return
+
+    closed = true
+    queue = []
+
+    if (timeout) clearTimeout(timeout)
+    if (ws) ws.close()
+
+    this.emit('close')
+  }
+
+  connect()
+}
+inherits(WebSocketSignaling, EventEmitter)
+
+module.exports = WebSocketSignaling
@@ -0,0 +1,123 @@
+/*
+ * (C) Copyright 2026 Kurento (http://kurento.org/)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+ * Parsing and filtering of ICE candidates, to enforce network policies like
+ * using only TURN relays or not exposing IPv6 addresses.
+ */
+
+// Built-in filters, returning true for the candidates to keep
+var PRESETS = {
+  'relay-only': function (candidate) {
+    return candidate.type === 'relay'
+  },
+  'no-ipv6': function (candidate) {
+    return candidate.address.indexOf(':') < 0
+  },
+  'no-mdns': function (candidate) {
+    return !/\.local$/i.test(candidate.address)
+  },
+  'tcp-only': function (candidate) {
+    return candidate.protocol === 'tcp'
+  }
+}
+
+/**
+ * Parse an ICE candidate line, with or without its `a=` prefix
+ *
+ * @param {String} line
+ *
+ * @return {(Object|undefined)} Object with the `candidate` line and its
+ *  `foundation`, `component`, `protocol` (in lower case), `priority`,
+ *  `address`, `port`, `type` and, if present, `relatedAddress`,
+ *  `relatedPort` and `tcpType`. Undefined for end-of-candidates
+ */
+function parseCandidate(line) {
+  var fields = line.replace(/^a=/, '').replace(/^candidate:/, '').trim()
+    .split(/\s+/)
+  if (fields.length < 8) return
+
+  var result = {
+    candidate: line,
+    foundation: fields[0],
+    component: Number(fields[1]),
+    protocol: fields[2].toLowerCase(),
+    priority: Number(fields[3]),
+    address: fields[4],
+    port: Number(fields[5]),
+    type: fields[7]
+  }
+
+  for (var i = 8; i + 1 < fields.length; i += 2) {
+    var value = fields[i + 1]
+
+    switch (fields[i]) {
+    case 'raddr':
+      result.relatedAddress = value
+      break
+
+    case 'rport':
+      result.relatedPort = Number(value)
+      break
+
+    case 'tcptype':
+      result.tcpType = value
+      break
+    }
+  }
+
+  return result
+}
+
+/**
+ * Get a function to filter ICE candidates
+ *
+ * @param {(String|Function|Array)} filter - Name of a preset ('relay-only',
+ *  'no-ipv6', 'no-mdns' or 'tcp-only'), a function getting the parsed
+ *  candidate that returns true to keep it, or an array of them that must all
+ *  keep the candidate
+ *
+ * @return {(Function|undefined)} Function getting a candidate line or an
+ *  RTCIceCandidate, and returning if it must be kept
+ */
+function getCandidateFilter(filter) {
+  if (!filter) return
+
+  var filters = [].concat(filter).map(function (filter) {
+    if (filter instanceof Function) return filter
+
+    var preset = PRESETS[filter]
+    if (!preset) throw new Error('Unknown candidate filter: ' + filter)
+
+    return preset
+  })
+
+  return function (candidate) {
+    if (typeof candidate !== 'string') candidate = candidate.candidate
+
+    // End-of-candidates is always kept
+    var parsed = candidate && parseCandidate(candidate)
+    if (!parsed) return true
+
+    return filters.every(function (filter) {
+      return filter(parsed)
+    })
+  }
+}
+
+exports.PRESETS = PRESETS
+exports.parseCandidate = parseCandidate
+exports.getCandidateFilter = getCandidateFilter
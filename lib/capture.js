@@ -0,0 +1,139 @@
+/*
+ * (C) Copyright 2026 Kurento (http://kurento.org/)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+ * Capture of still frames of video tracks, without needing them to be shown on
+ * a media element.
+ */
+
+var getWebRtc = require('./webrtc').getWebRtc
+
+// Milliseconds to wait for a track to have a frame
+var FRAME_TIMEOUT = 5000
+
+/**
+ * Play a track on a detached video element until it has a frame
+ */
+function grabFromVideo(track, webrtc) {
+  var video = webrtc.document.createElement('video')
+  video.muted = true
+  video.playsInline = true
+
+  return new Promise(function (resolve, reject) {
+    var timeout = setTimeout(function () {
+      reject(new Error('No video data available'))
+    }, FRAME_TIMEOUT)
+
+    video.onloadeddata = function () {
+      clearTimeout(timeout)
+      resolve(video)
+    }
+
+    video.srcObject = new webrtc.MediaStream([track])
+
+    var playing = video.play()
+    if (playing) playing.catch(reject)
+  }).catch(function (error) {
+    video.srcObject = null
+    throw error
+  })
+}
+
+/**
+ * Get a frame of a video track, as an ImageBitmap if the browser supports
+ * ImageCapture, or as a video element showing it otherwise
+ */
+function grabFrame(track, webrtc) {
+  var ImageCapture = webrtc.ImageCapture
+  if (ImageCapture === undefined) return grabFromVideo(track, webrtc)
+
+  return new ImageCapture(track).grabFrame().catch(function () {
+    return grabFromVideo(track, webrtc)
+  })
+}
+
+function getSize(frame, options) {
+  var width = frame.videoWidth || frame.width
+  var height = frame.videoHeight || frame.height
+
+  // Keep the aspect ratio if only one of the dimensions is given
+  if (options.width && !options.height) {
+    return [options.width, Math.round(height * options.width / width)]
+  }
+
+  if (options.height && !options.width) {
+    return [Math.round(width * options.height / height), options.height]
+  }
+
+  return [options.width || width, options.height || height]
+}
+
+/**
+ * Capture a frame of a video track
+ *
+ * @param {MediaStreamTrack} track
+ * @param {Object} [options]
+ * @param {String} [options.format='image/png'] - MIME type of the image, or
+ *  'imagebitmap' to get an ImageBitmap
+ * @param {Number} [options.quality] - Between 0 and 1, for lossy formats
+ * @param {Number} [options.width] - Width of the image, by default the one of
+ *  the video
+ * @param {Number} [options.height] - Height of the image, by default the one
+ *  of the video
+ * @param {Object} [webrtc] - WebRTC implementation, by default the one set
+ *  with setWebRtcImplementation
+ *
+ * @return {Promise<(Blob|ImageBitmap)>}
+ */
+function captureFrame(track, options, webrtc) {
+  options = options || {}
+  webrtc = webrtc || getWebRtc()
+
+  if (!track || track.kind !== 'video' || track.readyState === 'ended') {
+    return Promise.reject(new Error('There is no video to capture'))
+  }
+
+  return grabFrame(track, webrtc).then(function (frame) {
+    var size = getSize(frame, options)
+
+    var canvas = webrtc.document.createElement('canvas')
+    canvas.width = size[0]
+    canvas.height = size[1]
+
+    var context = canvas.getContext('2d')
+    context.drawImage(frame, 0, 0, size[0], size[1])
+
+    if (frame.close) {
+      frame.close()
+    } else {
+      frame.srcObject = null
+    }
+
+    var format = options.format || 'image/png'
+    if (format === 'imagebitmap') return webrtc.createImageBitmap(canvas)
+
+    return new Promise(function (resolve, reject) {
+      canvas.toBlob(function (blob) {
+        if (!blob) return reject(new Error(
+          'The frame could not be encoded'))
+
+        resolve(blob)
+      }, format, options.quality)
+    })
+  })
+}
+
+exports.captureFrame = captureFrame
@@ -0,0 +1,148 @@
+/*
+ * (C) Copyright 2026 Kurento (http://kurento.org/)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+ * Enumeration of the media devices, grouped by kind.
+ */
+
+var promisify = require('./utils').promisify
+var getWebRtc = require('./webrtc').getWebRtc
+var createLogger = require('./logger').createLogger
+
+var logger = createLogger()
+
+// Groups of each kind of device
+var KINDS = {
+  audioinput: 'audioInput',
+  videoinput: 'videoInput',
+  audiooutput: 'audioOutput'
+}
+
+// Labels are empty until the page has permission to use the devices
+var DEFAULT_LABELS = {
+  audioinput: 'Microphone',
+  videoinput: 'Camera',
+  audiooutput: 'Speaker'
+}
+
+function hasPermission(device) {
+  return !!device.label
+}
+
+function groupDevices(devices) {
+  var result = {
+    audioInput: [],
+    videoInput: [],
+    audioOutput: []
+  }
+
+  devices.forEach(function (device) {
+    var group = result[KINDS[device.kind]]
+    if (!group) return
+
+    var number = group.length + 1
+    var label = device.label || DEFAULT_LABELS[device.kind] + ' ' + number
+
+    group.push({
+      deviceId: device.deviceId,
+      groupId: device.groupId,
+      kind: device.kind,
+      label: label,
+      hasPermission: hasPermission(device)
+    })
+  })
+
+  return result
+}
+
+/**
+ * Ask for permission to use the kinds of input devices without labels, so
+ * they get enumerated again with them
+ */
+function requestPermission(mediaDevices, logger, devices) {
+  function withoutPermission(kind) {
+    return devices.some(function (device) {
+      return device.kind === kind && !hasPermission(device)
+    })
+  }
+
+  var constraints = {
+    audio: withoutPermission('audioinput'),
+    video: withoutPermission('videoinput')
+  }
+
+  if (!constraints.audio && !constraints.video) return devices
+
+  return mediaDevices.getUserMedia(constraints).then(function (stream) {
+    stream.getTracks().forEach(function (track) {
+      track.stop()
+    })
+
+    return mediaDevices.enumerateDevices()
+  }, function (error) {
+    logger.warn('Permission to use the devices not granted:', error)
+
+    return devices
+  })
+}
+
+/**
+ * List the media devices, grouped by kind
+ *
+ * @function module:kurentoUtils.listDevices
+ *
+ * @param {Object} [options]
+ * @param {Boolean} [options.requestPermission] - Ask for permission to use
+ *  the input devices if it was not granted yet, to get their labels
+ * @param {Object} [options.webrtc] - WebRTC implementation providing the
+ *  `mediaDevices`, by default the one set with setWebRtcImplementation
+ * @param {Object} [options.logger] - Logger, by default the one set with
+ *  setLogger
+ * @param callback - Invoked with the devices, or with an error
+ *
+ * @return {(Promise|undefined)} If no callback is given, a Promise resolved
+ *  with an object with the `audioInput`, `videoInput` and `audioOutput`
+ *  devices. Each one has its `deviceId`, `groupId`, `kind` and `label`, and
+ *  if `hasPermission` to use it. Without permission, the label is a generic
+ *  one like 'Camera 1'
+ */
+function listDevices(options, callback) {
+  if (options instanceof Function) {
+    callback = options
+    options = undefined
+  }
+
+  if (!callback) return promisify(listDevices.bind(undefined, options))
+
+  options = options || {}
+
+  var mediaDevices = getWebRtc(options.webrtc).mediaDevices
+  if (!mediaDevices || !mediaDevices.enumerateDevices) {
+    return callback(new Error('Devices enumeration is not supported'))
+  }
+
+  var promise = mediaDevices.enumerateDevices()
+  if (options.requestPermission) {
+    promise = promise.then(requestPermission.bind(undefined, mediaDevices,
+      options.logger || logger))
+  }
+
+  promise.then(function (devices) {
+    callback(null, groupDevices(devices))
+  }, callback)
+}
+
+exports.listDevices = listDevices
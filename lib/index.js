@@ -26,5 +26,13 @@
  */
 
 var WebRtcPeer = require('./WebRtcPeer');
+var WebSocketSignaling = require('./WebSocketSignaling');
+var listDevices = require('./devices').listDevices;
+var setLogger = require('./logger').setLogger;
+var setWebRtcImplementation = require('./webrtc').setWebRtcImplementation;
 
 exports.WebRtcPeer = WebRtcPeer;
+exports.WebSocketSignaling = WebSocketSignaling;
+exports.listDevices = listDevices;
+exports.setLogger = setLogger;
+exports.setWebRtcImplementation = setWebRtcImplementation;
@@ -0,0 +1,181 @@
+/*
+ * (C) Copyright 2026 Kurento (http://kurento.org/)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+ * Logging of the library, by default to `window.Logger` or the console. The
+ * messages can be filtered by level, tagged, and have the IP addresses and ICE
+ * credentials of the SDPs and ICE candidates redacted, so logs can be
+ * collected from production without leaking the addresses of the users.
+ */
+
+var merge = require('merge')
+
+// Log levels, from the most to the least verbose
+var LEVELS = ['debug', 'info', 'warn', 'error', 'silent']
+
+var REDACTED = '[redacted]'
+
+// Patterns of the sensitive data on SDPs and ICE candidates
+var REDACTIONS = [
+  // Address of the ICE candidates, and their related address
+  [/(candidate:\S+ \d+ \S+ \d+ )\S+/g, '$1' + REDACTED],
+  [/( raddr )\S+/g, '$1' + REDACTED],
+
+  // Connection and origin addresses
+  [/((?:^|\s|=)IN IP[46] )\S+/gm, '$1' + REDACTED],
+
+  // ICE credentials
+  [/(a=ice-(?:ufrag|pwd):)\S+/g, '$1' + REDACTED],
+  [/( ufrag )\S+/g, '$1' + REDACTED]
+]
+
+// Fields of the SDPs and ICE candidates, also when parsed
+var TEXT_FIELDS = ['sdp', 'candidate']
+var SENSITIVE_FIELDS = ['address', 'relatedAddress', 'ip', 'usernameFragment']
+
+var defaultLogger
+var defaultOptions = {}
+
+function getLevel(level) {
+  var index = LEVELS.indexOf(level || 'debug')
+  if (index < 0) throw new Error('Unknown log level: ' + level)
+
+  return index
+}
+
+function getDefaultLogger() {
+  if (defaultLogger) return defaultLogger
+
+  return (typeof window === 'undefined') ? console : window.Logger || console
+}
+
+function redactText(text) {
+  REDACTIONS.forEach(function (redaction) {
+    text = text.replace(redaction[0], redaction[1])
+  })
+
+  return text
+}
+
+/**
+ * Redact the strings, the errors, and the SDPs and ICE candidates, both as
+ * objects or parsed. Other values are logged as they are
+ */
+function redact(value) {
+  if (typeof value === 'string') return redactText(value)
+
+  if (!value || typeof value !== 'object') return value
+
+  // Errors can have a failed SDP or ICE candidate on their message and stack
+  if (value instanceof Error) {
+    var error = new Error(redactText(value.message))
+
+    error.name = value.name
+    error.stack = value.stack && redactText(value.stack)
+
+    return error
+  }
+
+  var fields = TEXT_FIELDS.concat(SENSITIVE_FIELDS)
+  var sensitive = fields.some(function (field) {
+    return value[field] !== undefined
+  })
+  if (!sensitive) return value
+
+  // Browsers' RTCSessionDescription and RTCIceCandidate have their fields on
+  // the prototype
+  var result = merge({}, value.toJSON ? value.toJSON() : value)
+
+  TEXT_FIELDS.forEach(function (field) {
+    if (result[field] !== undefined) result[field] = redact(result[field])
+  })
+
+  SENSITIVE_FIELDS.forEach(function (field) {
+    if (result[field]) result[field] = REDACTED
+  })
+
+  return result
+}
+
+/**
+ * Set the logger used by default
+ *
+ * @function module:kurentoUtils.setLogger
+ *
+ * @param {Object} [logger] - Object with the `debug`, `info`, `warn` and
+ *  `error` methods, like the console. If not given, `window.Logger` or the
+ *  console are used again
+ * @param {Object} [options]
+ * @param {String} [options.level='debug'] - Minimum level of the logged
+ *  messages: 'debug', 'info', 'warn', 'error', or 'silent' to log nothing
+ * @param {Boolean} [options.redact] - Redact the IP addresses and the ICE
+ *  credentials of the logged SDPs and ICE candidates
+ */
+function setLogger(logger, options) {
+  options = options || {}
+
+  getLevel(options.level)
+
+  defaultLogger = logger
+  defaultOptions = options
+}
+
+/**
+ * Create a logger. The options not given are taken from the ones set with
+ * setLogger when logging, so they can be changed later
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.logger] - Logger to use instead of the default one
+ * @param {String} [options.level] - Minimum level of the logged messages
+ * @param {Boolean} [options.redact] - Redact the IP addresses and the ICE
+ *  credentials
+ * @param {String} [options.tag] - Prepended to the logged messages
+ *
+ * @return {Object} Object with the `debug`, `info`, `warn` and `error`
+ *  methods
+ */
+function createLogger(options) {
+  options = options || {}
+
+  getLevel(options.level)
+
+  var result = {}
+
+  LEVELS.slice(0, -1).forEach(function (level, index) {
+    result[level] = function () {
+      var threshold = options.level || defaultOptions.level
+      if (index < getLevel(threshold)) return
+
+      var args = Array.prototype.slice.call(arguments)
+
+      var redacting = options.redact
+      if (redacting === undefined) redacting = defaultOptions.redact
+      if (redacting) args = args.map(redact)
+
+      if (options.tag) args.unshift(options.tag)
+
+      var logger = options.logger || getDefaultLogger()
+
+      var method = logger[level] || logger.log
+      if (method) method.apply(logger, args)
+    }
+  })
+
+  return result
+}
+
+exports.createLogger = createLogger
+exports.setLogger = setLogger
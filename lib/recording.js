@@ -0,0 +1,171 @@
+/*
+ * (C) Copyright 2026 Kurento (http://kurento.org/)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+ * MediaRecorder stops when the tracks of the recorded stream change, so the
+ * tracks are recorded through a stream with fixed tracks: the audio ones are
+ * mixed with WebAudio, and the video one is drawn on a canvas.
+ */
+
+var getWebRtc = require('./webrtc').getWebRtc
+
+var FRAME_RATE = 30
+
+/**
+ * Stream with the mix of the audio tracks and the video track given by a
+ * function, that can change over time
+ *
+ * @param {Function} getTracks - Returns an object with the `audio` tracks to
+ *  mix and the `video` one to draw
+ * @param {Object} [options]
+ * @param {Number} [options.frameRate=30] - Of the video
+ * @param {String[]} [options.kinds] - Kinds of the tracks to record even if
+ *  there are none of them yet. The tracks of the recorded stream can't change,
+ *  so the ones of other kinds given later by `getTracks` are not recorded
+ * @param {Object} [options.webrtc] - WebRTC implementation, by default the
+ *  one set with setWebRtcImplementation
+ */
+function RecordingStream(getTracks, options) {
+  options = options || {}
+
+  var webrtc = options.webrtc || getWebRtc()
+  var tracks = getTracks()
+  var kinds = options.kinds || []
+
+  var audioContext
+  var destination
+  var sources = {}
+
+  var canvas
+  var video
+  var interval
+
+  var result = new webrtc.MediaStream()
+
+  if (tracks.audio.length || kinds.indexOf('audio') >= 0) {
+    audioContext = new webrtc.AudioContext()
+    destination = audioContext.createMediaStreamDestination()
+
+    // Contexts created without a user gesture start suspended, and would
+    // record silence
+    var resuming = audioContext.resume()
+    if (resuming) resuming.catch(function () {})
+
+    destination.stream.getAudioTracks().forEach(function (track) {
+      result.addTrack(track)
+    })
+  }
+
+  if (tracks.video || kinds.indexOf('video') >= 0) {
+    canvas = webrtc.document.createElement('canvas')
+
+    video = webrtc.document.createElement('video')
+    video.muted = true
+
+    var context = canvas.getContext('2d')
+
+    // Browsers throttle the timers of the background tabs, so the recorded
+    // video drops frames while the page is hidden
+    interval = setInterval(function () {
+      if (video.readyState < video.HAVE_CURRENT_DATA) return
+
+      if (canvas.width !== video.videoWidth) canvas.width = video.videoWidth
+      if (canvas.height !== video.videoHeight) {
+        canvas.height = video.videoHeight
+      }
+
+      context.drawImage(video, 0, 0)
+    }, 1000 / (options.frameRate || FRAME_RATE))
+
+    canvas.captureStream().getVideoTracks().forEach(function (track) {
+      result.addTrack(track)
+    })
+  }
+
+  function updateAudio(audioTracks) {
+    var ids = audioTracks.map(function (track) {
+      return track.id
+    })
+
+    Object.keys(sources).forEach(function (id) {
+      if (ids.indexOf(id) >= 0) return
+
+      sources[id].disconnect()
+      delete sources[id]
+    })
+
+    audioTracks.forEach(function (track) {
+      if (sources[track.id]) return
+
+      var stream = new webrtc.MediaStream([track])
+
+      var source = audioContext.createMediaStreamSource(stream)
+      source.connect(destination)
+
+      sources[track.id] = source
+    })
+  }
+
+  function updateVideo(track) {
+    var current = video.srcObject && video.srcObject.getVideoTracks()[0]
+    if (current === track) return
+
+    video.srcObject = track ? new webrtc.MediaStream([track]) : null
+    if (!track) return
+
+    // Muted videos can play without user interaction
+    var playing = video.play()
+    if (playing) playing.catch(function () {})
+  }
+
+  /**
+   * Record the current tracks, after some of them have been replaced
+   *
+   * @return {String[]} Kinds of the current tracks that can't be recorded
+   */
+  this.update = function () {
+    var tracks = getTracks()
+    var unrecorded = []
+
+    if (audioContext) updateAudio(tracks.audio)
+    else if (tracks.audio.length) unrecorded.push('audio')
+
+    if (video) updateVideo(tracks.video)
+    else if (tracks.video) unrecorded.push('video')
+
+    return unrecorded
+  }
+
+  /**
+   * Stop recording the tracks and free the resources
+   */
+  this.close = function () {
+    clearInterval(interval)
+
+    if (video) video.srcObject = null
+    if (audioContext) audioContext.close()
+
+    result.getTracks().forEach(function (track) {
+      track.stop()
+    })
+  }
+
+  this.stream = result
+
+  this.update()
+}
+
+exports.RecordingStream = RecordingStream
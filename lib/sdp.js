@@ -0,0 +1,195 @@
+/*
+ * (C) Copyright 2026 Kurento (http://kurento.org/)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+ * SDP manipulation utilities, for the features that can't be done with the
+ * WebRTC API, or not on all browsers.
+ */
+
+// Codecs that are not used by themselves but together with the main ones
+var AUXILIARY_CODECS = ['rtx', 'red', 'ulpfec', 'flexfec-03', 'cn',
+  'telephone-event'
+]
+
+// Payload types that don't need an a=rtpmap line
+var STATIC_PAYLOAD_TYPES = {
+  0: 'PCMU',
+  8: 'PCMA',
+  9: 'G722',
+  13: 'CN'
+}
+
+function getCodecName(mimeType) {
+  return mimeType.split('/').pop().toLowerCase()
+}
+
+/**
+ * Split a SDP into its session section and each one of its media sections
+ */
+function splitSections(sdp) {
+  return sdp.split(/\r\n(?=m=)/)
+}
+
+function joinSections(sections) {
+  return sections.join('\r\n')
+}
+
+function getAttribute(lines, name, payloadType) {
+  var prefix = 'a=' + name + ':' + payloadType + ' '
+
+  for (var i = 0; i < lines.length; i++) {
+    if (lines[i].indexOf(prefix) === 0) return lines[i].slice(prefix.length)
+  }
+}
+
+/**
+ * Sort codecs by preference. Codecs that are not in the preferences list are
+ * dropped, except the auxiliary ones (RTX, RED, FEC...) that are kept at the
+ * end. If none of the preferred codecs is available, they are left unchanged.
+ *
+ * @param {Object[]} codecs - Objects with a `mimeType` field, like the
+ *  RTCRtpCodecCapability ones
+ * @param {String[]} preferences - Codec names (like 'H264') or MIME types
+ *  (like 'video/H264') in order of preference
+ *
+ * @return {Object[]}
+ */
+function sortCodecs(codecs, preferences) {
+  var result = []
+
+  preferences.map(getCodecName).forEach(function (name) {
+    codecs.forEach(function (codec) {
+      if (getCodecName(codec.mimeType) === name) result.push(codec)
+    })
+  })
+
+  if (!result.length) return codecs
+
+  codecs.forEach(function (codec) {
+    if (AUXILIARY_CODECS.indexOf(getCodecName(codec.mimeType)) >= 0 &&
+      result.indexOf(codec) < 0) {
+      result.push(codec)
+    }
+  })
+
+  return result
+}
+
+/**
+ * Reorder and filter the payload types of the media sections of a kind in a
+ * SDP, according to the codec preferences.
+ *
+ * @param {String} sdp
+ * @param {String} kind - 'audio' or 'video'
+ * @param {String[]} preferences - Codec names in order of preference
+ *
+ * @return {String}
+ */
+function preferCodecs(sdp, kind, preferences) {
+  return joinSections(splitSections(sdp).map(function (section) {
+    var lines = section.split('\r\n')
+
+    var mline = lines[0].split(' ')
+    if (mline[0] !== 'm=' + kind) return section
+
+    var codecs = mline.slice(3).map(function (payloadType) {
+      var rtpmap = getAttribute(lines, 'rtpmap', payloadType)
+      var name = rtpmap ? rtpmap.split('/')[0] : STATIC_PAYLOAD_TYPES[
+        payloadType] || ''
+
+      return {
+        payloadType: payloadType,
+        mimeType: kind + '/' + name
+      }
+    })
+
+    var sorted = sortCodecs(codecs, preferences)
+
+    // RTX codecs are associated to the payload type of the main one
+    var payloadTypes = sorted.filter(function (codec) {
+      var fmtp = getAttribute(lines, 'fmtp', codec.payloadType)
+      var apt = fmtp && fmtp.match(/apt=(\d+)/)
+
+      return !apt || sorted.some(function (codec) {
+        return codec.payloadType === apt[1]
+      })
+    }).map(function (codec) {
+      return codec.payloadType
+    })
+
+    lines[0] = mline.slice(0, 3).concat(payloadTypes).join(' ')
+
+    return lines.filter(function (line) {
+      var match = line.match(/^a=(?:rtpmap|fmtp|rtcp-fb):(\d+) /)
+
+      return !match || payloadTypes.indexOf(match[1]) >= 0
+    }).join('\r\n')
+  }))
+}
+
+/**
+ * Set the maximum bitrate the remote peer should send on the media sections of
+ * a kind in a SDP, by adding them b=AS and b=TIAS lines.
+ *
+ * @param {String} sdp
+ * @param {String} kind - 'audio' or 'video'
+ * @param {Number} bitrate - Bits per second
+ *
+ * @return {String}
+ */
+function setBandwidth(sdp, kind, bitrate) {
+  return joinSections(splitSections(sdp).map(function (section) {
+    if (section.indexOf('m=' + kind + ' ') !== 0) return section
+
+    var lines = section.split('\r\n').filter(function (line) {
+      return !/^b=(AS|TIAS):/.test(line)
+    })
+
+    // Bandwidth lines go after the connection one
+    var index = 1
+    lines.forEach(function (line, i) {
+      if (line.indexOf('c=') === 0) index = i + 1
+    })
+
+    var kbps = Math.ceil(bitrate / 1000)
+    lines.splice(index, 0, 'b=AS:' + kbps, 'b=TIAS:' + bitrate)
+
+    return lines.join('\r\n')
+  }))
+}
+
+/**
+ * Remove the ICE candidates of a SDP that don't pass a filter
+ *
+ * @param {String} sdp
+ * @param {Function} filter - Invoked with each candidate line, without its
+ *  `a=` prefix. Returns true to keep it
+ *
+ * @return {String}
+ */
+function filterCandidates(sdp, filter) {
+  return sdp.split('\r\n').filter(function (line) {
+    return line.indexOf('a=candidate:') !== 0 || filter(line.slice(2))
+  }).join('\r\n')
+}
+
+exports.splitSections = splitSections
+exports.joinSections = joinSections
+
+exports.sortCodecs = sortCodecs
+exports.preferCodecs = preferCodecs
+exports.setBandwidth = setBandwidth
+exports.filterCandidates = filterCandidates
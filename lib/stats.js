@@ -0,0 +1,188 @@
+/*
+ * (C) Copyright 2026 Kurento (http://kurento.org/)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+ * Normalization of RTCStatsReport objects into per-track statistics. Rates
+ * (bitrate, packet loss, frames per second) are calculated from the difference
+ * between two consecutive reports of the same RTCPeerConnection.
+ */
+
+function findByLocalId(report, type, localId) {
+  var result
+
+  report.forEach(function (stat) {
+    if (stat.type === type && stat.localId === localId) result = stat
+  })
+
+  return result
+}
+
+function getCodec(report, stat) {
+  var codec = stat.codecId && report.get(stat.codecId)
+  if (codec) return codec.mimeType
+}
+
+function getTrackId(report, stat) {
+  if (stat.trackIdentifier) return stat.trackIdentifier
+
+  // Outbound tracks are referenced by a media source, and old browsers
+  // reference them by a 'track' stat for both directions
+  var source = report.get(stat.mediaSourceId || stat.trackId)
+  if (source) return source.trackIdentifier
+}
+
+/**
+ * Round trip time of the selected ICE candidate pair, in seconds
+ */
+function getCandidatePairRtt(report) {
+  var result
+
+  report.forEach(function (stat) {
+    if (stat.type !== 'transport') return
+
+    var pair = report.get(stat.selectedCandidatePairId)
+    if (pair) result = pair.currentRoundTripTime
+  })
+
+  if (result === undefined) {
+    report.forEach(function (stat) {
+      if (stat.type === 'candidate-pair' && stat.nominated && stat.state ===
+        'succeeded') {
+        result = stat.currentRoundTripTime
+      }
+    })
+  }
+
+  return result
+}
+
+function delta(stat, previous, field) {
+  var value = stat && stat[field]
+  if (value === undefined) return
+
+  if (previous && previous[field] !== undefined) value -= previous[field]
+
+  return value
+}
+
+function packetLoss(lost, received) {
+  if (lost === undefined || received === undefined) return
+
+  var total = lost + received
+  if (total <= 0) return 0
+
+  return Math.max(0, lost) / total * 100
+}
+
+/**
+ * Get the statistics of each one of the inbound and outbound tracks of a
+ * RTCStatsReport.
+ *
+ * @param {RTCStatsReport} report Current report
+ * @param {RTCStatsReport} [previous] Previous report of the same
+ *  RTCPeerConnection. If not given, rates can't be calculated and packet loss
+ *  is calculated from the totals since the beginning of the session
+ *
+ * @return {Object} Object with the `timestamp` of the report and an array of
+ *  `tracks` with their `kind`, `direction` ('inbound' or 'outbound'),
+ *  `trackId`, `mid`, `ssrc`, `rid`, `codec`, `bitrate` (bps), `packetLoss`
+ *  (%), `jitter` (s), `roundTripTime` (s) and, for video, `framesPerSecond`,
+ *  `width` and `height`
+ */
+function normalizeStats(report, previous) {
+  var result = {
+    timestamp: Date.now(),
+    tracks: []
+  }
+
+  var candidatePairRtt = getCandidatePairRtt(report)
+
+  report.forEach(function (stat) {
+    var inbound = stat.type === 'inbound-rtp'
+    if (!inbound && stat.type !== 'outbound-rtp') return
+
+    // Old Firefox versions report the remote side with the same types
+    if (stat.isRemote) return
+
+    var last = previous && previous.get(stat.id)
+    var elapsed = last ? (stat.timestamp - last.timestamp) / 1000 : 0
+
+    var kind = stat.kind || stat.mediaType
+
+    var track = {
+      kind: kind,
+      direction: inbound ? 'inbound' : 'outbound',
+      trackId: getTrackId(report, stat),
+      mid: stat.mid,
+      ssrc: stat.ssrc,
+      rid: stat.rid,
+      codec: getCodec(report, stat)
+    }
+
+    var bytes, frames, remote
+
+    if (inbound) {
+      bytes = delta(stat, last, 'bytesReceived')
+      frames = delta(stat, last, 'framesDecoded')
+
+      track.packetLoss = packetLoss(delta(stat, last, 'packetsLost'),
+        delta(stat, last, 'packetsReceived'))
+      track.jitter = stat.jitter
+
+      remote = findByLocalId(report, 'remote-outbound-rtp', stat.id)
+    } else {
+      bytes = delta(stat, last, 'bytesSent')
+      frames = delta(stat, last, 'framesEncoded')
+
+      // Outbound packet loss and jitter are only known by the remote peer
+      remote = findByLocalId(report, 'remote-inbound-rtp', stat.id)
+      if (remote) {
+        var lastRemote = previous && previous.get(remote.id)
+        var lost = delta(remote, lastRemote, 'packetsLost')
+        var sent = delta(stat, last, 'packetsSent')
+
+        if (sent !== undefined) {
+          track.packetLoss = packetLoss(lost, sent - lost)
+        }
+        track.jitter = remote.jitter
+      }
+    }
+
+    track.roundTripTime = (remote && remote.roundTripTime !== undefined) ?
+      remote.roundTripTime : candidatePairRtt
+
+    if (elapsed > 0 && bytes !== undefined) {
+      track.bitrate = bytes * 8 / elapsed
+    }
+
+    if (kind === 'video') {
+      track.framesPerSecond = stat.framesPerSecond
+      if (track.framesPerSecond === undefined && elapsed > 0 && frames !==
+        undefined) {
+        track.framesPerSecond = frames / elapsed
+      }
+
+      track.width = stat.frameWidth
+      track.height = stat.frameHeight
+    }
+
+    result.tracks.push(track)
+  })
+
+  return result
+}
+
+exports.normalizeStats = normalizeStats
@@ -0,0 +1,38 @@
+/*
+ * (C) Copyright 2026 Kurento (http://kurento.org/)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+function toError(error) {
+  if (error instanceof Error) return error
+
+  return new Error(error)
+}
+
+/**
+ * Call a function expecting a Node-style callback and return a Promise that
+ * settles with the result it gets called with
+ */
+function promisify(func) {
+  return new Promise(function (resolve, reject) {
+    func(function (error, result) {
+      if (error) return reject(toError(error))
+
+      resolve(result)
+    })
+  })
+}
+
+exports.toError = toError
+exports.promisify = promisify
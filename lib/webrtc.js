@@ -0,0 +1,104 @@
+/*
+ * (C) Copyright 2026 Kurento (http://kurento.org/)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+ * WebRTC implementation to use, by default the one of the browser. Another
+ * one can be injected, like the one of the `wrtc` package to run on Node.js,
+ * or a fake one for testing.
+ */
+
+// Objects of the WebRTC implementation
+var NAMES = [
+  'RTCPeerConnection',
+  'RTCSessionDescription',
+  'RTCIceCandidate',
+  'RTCRtpReceiver',
+  'RTCRtpTransceiver',
+  'MediaStream',
+  'mediaDevices',
+  'document',
+  'MediaRecorder',
+  'AudioContext',
+  'ImageCapture',
+  'createImageBitmap',
+  'Blob',
+  'File',
+  'FileReader'
+]
+
+var implementation
+
+function getGlobal(name) {
+  var root = (typeof window !== 'undefined') ? window : global
+
+  if (name === 'mediaDevices') {
+    return root.navigator ? root.navigator.mediaDevices : undefined
+  }
+
+  // It can't be called on other objects
+  if (name === 'createImageBitmap' && root.createImageBitmap) {
+    return root.createImageBitmap.bind(root)
+  }
+
+  return root[name]
+}
+
+/**
+ * Set the WebRTC implementation used by default
+ *
+ * @function module:kurentoUtils.setWebRtcImplementation
+ *
+ * @param {Object} [webrtc] - Object with the `RTCPeerConnection`,
+ *  `RTCSessionDescription`, `RTCIceCandidate`, `RTCRtpReceiver`,
+ *  `RTCRtpTransceiver` and `MediaStream` classes, and the `mediaDevices` and
+ *  `document` objects to use, like the `wrtc` package. It can also have the
+ *  `MediaRecorder`, `AudioContext`, `ImageCapture`, `Blob`, `File` and
+ *  `FileReader` classes and the `createImageBitmap` function used to record,
+ *  capture frames and transfer files. The missing ones are taken from the
+ *  global scope. If not given, the implementation of the browser is used
+ *  again
+ */
+function setWebRtcImplementation(webrtc) {
+  implementation = webrtc
+}
+
+/**
+ * Get the WebRTC implementation to use
+ *
+ * @param {Object} [webrtc] - Implementation given in the options, that takes
+ *  precedence over the default one
+ *
+ * @return {Object} Object with the classes and objects of the implementation,
+ *  and if it has been `injected` instead of being the one of the browser
+ */
+function getWebRtc(webrtc) {
+  var result = {
+    injected: !!(webrtc || implementation)
+  }
+
+  NAMES.forEach(function (name) {
+    var value = webrtc && webrtc[name]
+    if (value === undefined && implementation) value = implementation[name]
+    if (value === undefined) value = getGlobal(name)
+
+    result[name] = value
+  })
+
+  return result
+}
+
+exports.getWebRtc = getWebRtc
+exports.setWebRtcImplementation = setWebRtcImplementation
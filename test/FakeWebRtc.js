@@ -0,0 +1,798 @@
+/*
+ * (C) Copyright 2026 Kurento (http://kurento.org/)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ */
+
+/**
+ * {@link WebRtcPeer} test suite using the fake WebRTC implementation, so it
+ * doesn't need a browser nor media devices.
+ */
+
+if (typeof QUnit == 'undefined') {
+  QUnit = require('qunit-cli');
+  QUnit.load();
+
+  kurentoUtils = require('..');
+  FakeWebRtc = require('../lib/FakeWebRtc');
+
+  require('./_common');
+};
+
+var WebRtcPeer = kurentoUtils.WebRtcPeer;
+
+var bufferizeCandidates = WebRtcPeer.bufferizeCandidates;
+
+/**
+ * Create a pair of WebRtcPeers using the fake WebRTC implementation, sending
+ * their ICE candidates to each other
+ */
+function createPeers(offererMode, answererMode, offererOptions,
+  answererOptions) {
+  function getOptions(options) {
+    options = options || {}
+    options.webrtc = FakeWebRtc
+
+    return options
+  }
+
+  return Promise.all([
+    WebRtcPeer.create(offererMode, getOptions(offererOptions)),
+    WebRtcPeer.create(answererMode, getOptions(answererOptions))
+  ]).then(function (peers) {
+    function trickle(from, to) {
+      from.on('icecandidate', function (candidate) {
+        to.addIceCandidate(candidate, function (error) {
+          if (error) QUnit.pushFailure(error.message, error.stack);
+        })
+      })
+    }
+
+    trickle(peers[0], peers[1])
+    trickle(peers[1], peers[0])
+
+    return peers
+  })
+}
+
+function negotiate(offerer, answerer) {
+  return offerer.generateOffer().then(function (sdpOffer) {
+    return answerer.processOffer(sdpOffer)
+  }).then(function (sdpAnswer) {
+    return offerer.processAnswer(sdpAnswer)
+  })
+}
+
+function waitConnected(pc) {
+  return new Promise(function (resolve) {
+    if (pc.connectionState === 'connected') return resolve()
+
+    pc.addEventListener('connectionstatechange', function onchange() {
+      if (pc.connectionState !== 'connected') return
+
+      pc.removeEventListener('connectionstatechange', onchange)
+      resolve()
+    })
+  })
+}
+
+/**
+ * Get the ICE candidates gathered by a RTCPeerConnection until the
+ * end-of-candidates
+ */
+function gatherCandidates(pc) {
+  return new Promise(function (resolve) {
+    var candidates = []
+
+    pc.addEventListener('icecandidate', function onicecandidate(event) {
+      if (event.candidate) return candidates.push(event.candidate)
+
+      pc.removeEventListener('icecandidate', onicecandidate)
+      resolve(candidates)
+    })
+  })
+}
+
+QUnit.module('FakeWebRtc', {
+  afterEach: function () {
+    (this.peers || []).forEach(function (peer) {
+      peer.dispose()
+    })
+  }
+});
+
+QUnit.test('loopback', function (assert) {
+  var done = assert.async();
+
+  assert.expect(5);
+
+  var ctx = this
+
+  function onerror(error) {
+    if (error)
+      QUnit.pushFailure(error.message || error, error.stack);
+
+    done()
+  }
+
+  createPeers('sendonly', 'recvonly').then(function (peers) {
+    ctx.peers = peers
+
+    return negotiate(peers[0], peers[1]).then(function () {
+      return waitConnected(peers[1].peerConnection)
+    })
+  }).then(function () {
+    var sender = ctx.peers[0]
+    var receiver = ctx.peers[1]
+
+    assert.equal(sender.peerConnection.signalingState, 'stable',
+      'offerer negotiated')
+    assert.equal(receiver.peerConnection.signalingState, 'stable',
+      'answerer negotiated')
+
+    var localTracks = sender.getLocalStream().getTracks()
+    var remoteTracks = receiver.getRemoteStream().getTracks()
+
+    assert.equal(localTracks.length, 2, 'fake devices captured')
+    assert.equal(remoteTracks.length, 2, 'tracks received')
+    assert.notOk(remoteTracks.some(function (track) {
+      return track.muted
+    }), 'media flowing')
+  }).then(done, onerror)
+});
+
+QUnit.test('getRemoteStream', function (assert) {
+  var done = assert.async();
+
+  assert.expect(4);
+
+  var ctx = this
+
+  function onerror(error) {
+    if (error)
+      QUnit.pushFailure(error.message || error, error.stack);
+
+    done()
+  }
+
+  var mediaDevices = FakeWebRtc.mediaDevices
+
+  // Stand-in of a video element
+  var remoteVideo = {
+    pause: function () {},
+    load: function () {}
+  }
+
+  var streams
+
+  Promise.all([
+    mediaDevices.getUserMedia({
+      video: true
+    }),
+    mediaDevices.getUserMedia({
+      audio: true
+    })
+  ]).then(function (result) {
+    streams = result
+
+    return createPeers('sendonly', 'recvonly', {
+      videoStream: streams[0],
+      audioStream: streams[1]
+    }, {
+      remoteVideo: remoteVideo
+    })
+  }).then(function (peers) {
+    ctx.peers = peers
+
+    return negotiate(peers[0], peers[1])
+  }).then(function () {
+    var receiver = ctx.peers[1]
+
+    assert.equal(receiver.getRemoteStream().id, streams[0].id,
+      'first stream')
+    assert.equal(receiver.getRemoteStream(1).id, streams[1].id,
+      'second stream')
+    assert.equal(receiver.getRemoteStream(1).getTracks().length, 1,
+      'tracks of each stream')
+    assert.equal(remoteVideo.srcObject, receiver.getRemoteStream(),
+      'first stream rendered')
+  }).then(done, onerror)
+});
+
+QUnit.test('bufferizeCandidates', function (assert) {
+  var done = assert.async();
+
+  assert.expect(3);
+
+  function onerror(error) {
+    if (error)
+      QUnit.pushFailure(error.message || error, error.stack);
+
+    done()
+  }
+
+  var offerer = new FakeWebRtc.RTCPeerConnection()
+  var answerer = new FakeWebRtc.RTCPeerConnection()
+
+  var addIceCandidate = bufferizeCandidates(answerer, onerror)
+
+  offerer.createDataChannel('test')
+
+  offerer.addEventListener('icecandidate', function (event) {
+    addIceCandidate(event.candidate, function (error) {
+      if (error) onerror(error)
+    })
+
+    // Wait until all the candidates have been gathered
+    if (event.candidate) return
+
+    assert.equal(addIceCandidate.queueLength, 3, 'queued')
+
+    answerer.setRemoteDescription(offerer.localDescription).then(
+      function () {
+        assert.equal(addIceCandidate.queueLength, 0, 'queue flushed')
+
+        return answerer.setLocalDescription()
+      }).then(function () {
+      return offerer.setRemoteDescription(answerer.localDescription)
+    }).then(function () {
+      return waitConnected(answerer)
+    }).then(function () {
+      assert.ok(true, 'connected with the queued candidates')
+
+      offerer.close()
+      answerer.close()
+    }).then(done, onerror)
+  })
+
+  offerer.createOffer().then(function (offer) {
+    return offerer.setLocalDescription(offer)
+  }).catch(onerror)
+});
+
+QUnit.test('bufferizeCandidates on ICE restart', function (assert) {
+  var done = assert.async();
+
+  assert.expect(5);
+
+  function onerror(error) {
+    if (error)
+      QUnit.pushFailure(error.message || error, error.stack);
+
+    done()
+  }
+
+  function check(error) {
+    if (error) QUnit.pushFailure(error.message, error.stack);
+  }
+
+  var offerer = new FakeWebRtc.RTCPeerConnection()
+  var answerer = new FakeWebRtc.RTCPeerConnection()
+
+  var addIceCandidate = bufferizeCandidates(answerer)
+
+  offerer.createDataChannel('test')
+
+  var gathering = gatherCandidates(offerer)
+  var previous
+
+  offerer.createOffer().then(function (offer) {
+    return offerer.setLocalDescription(offer)
+  }).then(function () {
+    return answerer.setRemoteDescription(offerer.localDescription)
+  }).then(function () {
+    return answerer.setLocalDescription()
+  }).then(function () {
+    return offerer.setRemoteDescription(answerer.localDescription)
+  }).then(function () {
+    return gathering
+  }).then(function (candidates) {
+    previous = candidates
+
+    candidates.forEach(function (candidate) {
+      addIceCandidate(candidate, check)
+    })
+
+    return waitConnected(answerer)
+  }).then(function () {
+    gathering = gatherCandidates(offerer)
+
+    return offerer.createOffer({
+      iceRestart: true
+    })
+  }).then(function (offer) {
+    return offerer.setLocalDescription(offer)
+  }).then(function () {
+    return gathering
+  }).then(function (candidates) {
+    // Received while the new SDP offer is being processed
+    candidates.forEach(function (candidate) {
+      addIceCandidate(candidate, check)
+    })
+
+    assert.equal(addIceCandidate.queueLength, candidates.length,
+      'candidates of the new ICE session queued')
+
+    return answerer.setRemoteDescription(offerer.localDescription)
+  }).then(function () {
+    assert.equal(addIceCandidate.queueLength, 0, 'queue flushed')
+
+    addIceCandidate(previous[0], function (error) {
+      assert.notOk(error,
+        'candidate of the previous ICE session dropped')
+
+      return true
+    })
+
+    assert.equal(addIceCandidate.queueLength, 0,
+      'dropped candidate not queued')
+
+    addIceCandidate({
+      candidate: previous[0].candidate.replace(/ ufrag \S+/,
+        ' ufrag unknown'),
+      sdpMid: previous[0].sdpMid,
+      sdpMLineIndex: previous[0].sdpMLineIndex
+    }, function (error) {
+      assert.equal(error && error.message,
+        'PeerConnection object is closed',
+        'queued candidates failed when closing')
+    })
+
+    offerer.close()
+    answerer.close()
+    addIceCandidate.close()
+  }).then(done, onerror)
+});
+
+QUnit.test('DataChannel loopback', function (assert) {
+  var done = assert.async();
+
+  assert.expect(2);
+
+  var ctx = this
+
+  function onerror(error) {
+    if (error)
+      QUnit.pushFailure(error.message || error, error.stack);
+
+    done()
+  }
+
+  createPeers('recvonly', 'sendonly').then(function (peers) {
+    ctx.peers = peers
+
+    var offerer = peers[0].peerConnection
+    var answerer = peers[1].peerConnection
+
+    var channel = offerer.createDataChannel('chat')
+
+    channel.addEventListener('open', function () {
+      channel.send('hello')
+    })
+
+    answerer.addEventListener('datachannel', function (event) {
+      var remote = event.channel
+
+      assert.equal(remote.label, 'chat', 'channel announced')
+
+      remote.addEventListener('message', function (event) {
+        assert.equal(event.data, 'hello', 'message received')
+
+        done()
+      })
+    })
+
+    return negotiate(peers[0], peers[1])
+  }).catch(onerror)
+});
+
+QUnit.test('renegotiation glare', function (assert) {
+  var done = assert.async();
+
+  assert.expect(6);
+
+  var ctx = this
+
+  function onerror(error) {
+    if (error)
+      QUnit.pushFailure(error.message || error, error.stack);
+
+    done()
+  }
+
+  var polite
+  var impolite
+
+  // Both SDP offers are sent when they have been generated, so they collide
+  var offers = []
+
+  function send(from, to, sdpOffer) {
+    to.processOffer(sdpOffer).then(function (sdpAnswer) {
+      return from.processAnswer(sdpAnswer)
+    }).then(function () {
+      assert.equal(from, impolite,
+        'offer of the impolite peer answered')
+
+      ctx.peers.forEach(function (peer) {
+        var pc = peer.peerConnection
+
+        assert.equal(pc.signalingState, 'stable', 'renegotiated')
+        assert.equal(pc.getTransceivers().filter(function (
+          transceiver) {
+          return transceiver.currentDirection === 'sendrecv'
+        }).length, 3, 'tracks of both peers negotiated')
+      })
+    }).then(done, function (error) {
+      assert.ok(from === polite && error.message ===
+        'SDP offer ignored, it collides with ours',
+        'offer of the polite peer ignored')
+    })
+  }
+
+  function exchange(from, to) {
+    from.on('negotiationneeded', function (sdpOffer) {
+      offers.push(send.bind(undefined, from, to, sdpOffer))
+      if (offers.length < 2) return
+
+      offers.forEach(function (offer) {
+        offer()
+      })
+    })
+  }
+
+  createPeers('sendrecv', 'sendrecv', {
+    renegotiation: true
+  }, {
+    renegotiation: true,
+    polite: false
+  }).then(function (peers) {
+    ctx.peers = peers
+
+    polite = peers[0]
+    impolite = peers[1]
+
+    return negotiate(polite, impolite)
+  }).then(function () {
+    exchange(polite, impolite)
+    exchange(impolite, polite)
+
+    return FakeWebRtc.mediaDevices.getUserMedia({
+      video: true
+    })
+  }).then(function (stream) {
+    polite.addTrack(stream.getVideoTracks()[0].clone())
+    impolite.addTrack(stream.getVideoTracks()[0])
+  }).catch(onerror)
+});
+
+QUnit.test('renegotiation glare while creating the SDP offer', function (
+  assert) {
+  var done = assert.async();
+
+  assert.expect(3);
+
+  var ctx = this
+
+  function onerror(error) {
+    if (error)
+      QUnit.pushFailure(error.message || error, error.stack);
+
+    done()
+  }
+
+  var polite
+  var impolite
+
+  function noop() {}
+
+  createPeers('sendrecv', 'sendrecv', {
+    renegotiation: true,
+    logger: {
+      debug: noop,
+      info: noop,
+      warn: noop,
+      error: function () {
+        assert.ok(false, 'local SDP offer failed')
+      }
+    }
+  }, {
+    renegotiation: true,
+    polite: false
+  }).then(function (peers) {
+    ctx.peers = peers
+
+    polite = peers[0]
+    impolite = peers[1]
+
+    return negotiate(polite, impolite)
+  }).then(function () {
+    return FakeWebRtc.mediaDevices.getUserMedia({
+      video: true
+    })
+  }).then(function (stream) {
+    impolite.once('negotiationneeded', function (sdpOffer) {
+      var pc = polite.peerConnection
+      var createOffer = pc.createOffer
+
+      // The remote SDP offer arrives after the local one started being
+      // created, but before it's set
+      pc.createOffer = function () {
+        pc.createOffer = createOffer
+
+        var result = createOffer.apply(pc, arguments)
+
+        polite.processOffer(sdpOffer).then(function (sdpAnswer) {
+          assert.equal(pc.signalingState, 'stable',
+            'local SDP offer rolled back')
+
+          return impolite.processAnswer(sdpAnswer)
+        }).then(function () {
+          assert.equal(impolite.peerConnection.signalingState,
+            'stable',
+            'renegotiated')
+          assert.equal(pc.getTransceivers().filter(function (
+            transceiver) {
+            return transceiver.currentDirection ===
+              'sendrecv'
+          }).length, 3, 'tracks of both peers negotiated')
+        }).then(done, onerror)
+
+        return result
+      }
+
+      // The rolled back SDP offer is not sent
+      polite.on('negotiationneeded', function () {
+        assert.ok(false, 'rolled back SDP offer sent')
+      })
+
+      polite.addTrack(stream.getVideoTracks()[0].clone())
+    })
+
+    impolite.addTrack(stream.getVideoTracks()[0])
+  }).catch(onerror)
+});
+
+QUnit.test('dispose', function (assert) {
+  var done = assert.async();
+
+  assert.expect(3);
+
+  function onerror(error) {
+    if (error)
+      QUnit.pushFailure(error.message || error, error.stack);
+
+    done()
+  }
+
+  var sender
+  var receiver
+
+  createPeers('sendonly', 'recvonly').then(function (peers) {
+    sender = peers[0]
+    receiver = peers[1]
+
+    return negotiate(sender, receiver).then(function () {
+      return waitConnected(receiver.peerConnection)
+    })
+  }).then(function () {
+    var tracks = sender.getLocalStream().getTracks()
+    var pc = sender.peerConnection
+    var remote = receiver.peerConnection
+
+    var disconnected = new Promise(function (resolve) {
+      remote.addEventListener('connectionstatechange', resolve)
+    })
+
+    sender.dispose()
+
+    assert.equal(pc.signalingState, 'closed',
+      'RTCPeerConnection closed')
+    assert.notOk(tracks.some(function (track) {
+      return track.readyState === 'live'
+    }), 'local tracks stopped')
+
+    return disconnected.then(function () {
+      assert.equal(remote.connectionState, 'disconnected',
+        'remote peer disconnected')
+
+      receiver.dispose()
+    })
+  }).then(done, onerror)
+});
+
+QUnit.test('logger', function (assert) {
+  var done = assert.async();
+
+  assert.expect(7);
+
+  var ctx = this
+
+  function onerror(error) {
+    if (error)
+      QUnit.pushFailure(error.message || error, error.stack);
+
+    done()
+  }
+
+  function toText(arg) {
+    if (arg instanceof Error) return arg.stack || arg.message
+
+    return typeof arg === 'string' ? arg : JSON.stringify(arg)
+  }
+
+  function createLogger(messages) {
+    function log() {
+      var args = Array.prototype.slice.call(arguments)
+
+      messages.push(args.map(toText).join(' '))
+    }
+
+    return {
+      debug: log,
+      info: log,
+      warn: log,
+      error: log
+    }
+  }
+
+  var verbose = []
+  var quiet = []
+
+  Promise.all([
+    WebRtcPeer.create('sendonly', {
+      id: 'sender',
+      webrtc: FakeWebRtc,
+      logger: createLogger(verbose),
+      logLevel: 'debug',
+      redactLogs: true
+    }),
+    WebRtcPeer.create('recvonly', {
+      webrtc: FakeWebRtc,
+      logger: createLogger(quiet),
+      logLevel: 'warn'
+    })
+  ]).then(function (peers) {
+    ctx.peers = peers
+
+    peers[1].on('icecandidate', function (candidate) {
+      peers[0].addIceCandidate(candidate).catch(onerror)
+    })
+
+    return negotiate(peers[0], peers[1]).then(function () {
+      return waitConnected(peers[0].peerConnection)
+    })
+  }).then(function () {
+    assert.ok(verbose.length, 'messages logged')
+    assert.ok(verbose.every(function (message) {
+      return message.indexOf('[WebRtcPeer sender sendonly] ') ===
+        0
+    }), 'messages tagged')
+    assert.notOk(verbose.some(function (message) {
+      return /127\.0\.0\.1|ice-pwd:(?!\[redacted\])/.test(message)
+    }), 'addresses and credentials redacted')
+    assert.equal(quiet.length, 0, 'debug messages filtered')
+
+    var sender = ctx.peers[0]
+    sender.logger.debug('SDP', {
+      type: 'offer',
+      sdp: 'v=0\r\nc=IN IP4 203.0.113.7\r\n'
+    })
+    assert.ok(/c=IN IP4 \[redacted\]/.test(verbose[verbose.length - 1]),
+      'connection address redacted')
+
+    var candidate =
+      'candidate:1 1 udp 2122260223 192.0.2.5 54400 typ host'
+    sender.logger.error('Failed:', new Error('Invalid ' + candidate))
+
+    var logged = verbose[verbose.length - 1]
+    assert.ok(/Error: .*\[redacted\]/.test(logged) && logged.indexOf(
+      '192.0.2.5') < 0, 'error messages and stacks redacted')
+
+    // Failed transfers without error listeners are logged
+    sender.createDataChannel('chat')
+    sender.sendFile(new Blob(['hello']), {
+      label: 'chat'
+    })
+
+    return new Promise(function (resolve) {
+      setTimeout(resolve, 0)
+    })
+  }).then(function () {
+    assert.ok(
+      /^\[WebRtcPeer sender sendonly\] .*not created to send files/
+      .test(verbose[verbose.length - 1]),
+      'modules log with the peer logger')
+  }).then(done, onerror)
+});
+
+QUnit.test('sendFile', function (assert) {
+  var done = assert.async();
+
+  assert.expect(3);
+
+  var ctx = this
+
+  function onerror(error) {
+    if (error)
+      QUnit.pushFailure(error.message || error, error.stack);
+
+    done()
+  }
+
+  var bytes = new Uint8Array(100000)
+  for (var i = 0; i < bytes.length; i++) bytes[i] = i % 256
+
+  // Both the sender and the receiver must finish
+  var pending = 2
+
+  function finish() {
+    if (!--pending) done()
+  }
+
+  // Browsers following the spec receive Blobs by default
+  var peerConnection = new FakeWebRtc.RTCPeerConnection()
+  peerConnection.addEventListener('datachannel', function (event) {
+    event.channel.binaryType = 'blob'
+  })
+
+  Promise.all([
+    WebRtcPeer.create('recvonly', {
+      webrtc: FakeWebRtc
+    }),
+    WebRtcPeer.create('recvonly', {
+      webrtc: FakeWebRtc,
+      peerConnection: peerConnection
+    })
+  ]).then(function (peers) {
+    ctx.peers = peers
+
+    peers[1].on('file', function (transfer) {
+      transfer.on('end', function (received) {
+        received.arrayBuffer().then(function (buffer) {
+          assert.deepEqual(new Uint8Array(buffer), bytes,
+            'file received')
+
+          finish()
+        }, onerror)
+      })
+    })
+
+    peers[0].sendFile(new Blob([bytes]), function (error) {
+      if (error) return onerror(error)
+
+      assert.ok(true, 'checksum verified')
+
+      finish()
+    })
+
+    peers[0].createDataChannel('chat')
+
+    peers[0].sendFile(new Blob([bytes]), {
+      label: 'chat'
+    }).on('error', function (error) {
+      assert.equal(error.message,
+        'Data channel "chat" was not created to send files',
+        'sending over other channels fails')
+    })
+
+    peers[0].on('icecandidate', function (candidate) {
+      peers[1].addIceCandidate(candidate).catch(onerror)
+    })
+    peers[1].on('icecandidate', function (candidate) {
+      peers[0].addIceCandidate(candidate).catch(onerror)
+    })
+
+    return negotiate(peers[0], peers[1])
+  }).catch(onerror)
+});
@@ -42,6 +42,7 @@ if (typeof QUnit == 'undefined') {
   QUnit.load();
 
   kurentoUtils = require('..');
+  FakeWebRtc = require('../lib/FakeWebRtc');
 
   require('./_common');
 };
@@ -65,6 +66,62 @@ function getOscillatorMedia() {
   return dest.stream;
 }
 
+/**
+ * Fake WebRTC implementation using other media devices
+ */
+function withMediaDevices(mediaDevices) {
+  var webrtc = Object.create(FakeWebRtc)
+  webrtc.mediaDevices = mediaDevices
+
+  return webrtc
+}
+
+/**
+ * Fake media devices of a phone, whose cameras can't be used at the same time
+ */
+function createPhoneDevices() {
+  var mediaDevices = new FakeWebRtc.MediaDevices([{
+    deviceId: 'front',
+    kind: 'videoinput',
+    label: 'Front camera',
+    groupId: 'front'
+  }, {
+    deviceId: 'back',
+    kind: 'videoinput',
+    label: 'Back camera',
+    groupId: 'back'
+  }, {
+    deviceId: 'microphone',
+    kind: 'audioinput',
+    label: 'Microphone',
+    groupId: 'microphone'
+  }])
+
+  var getUserMedia = mediaDevices.getUserMedia
+  var tracks = []
+
+  mediaDevices.getUserMedia = function (constraints) {
+    var busy = constraints.video && tracks.some(function (track) {
+      return track.kind === 'video' && track.readyState === 'live'
+    })
+
+    if (busy) {
+      var error = new Error('Could not start video source')
+      error.name = 'NotReadableError'
+
+      return Promise.reject(error)
+    }
+
+    return getUserMedia(constraints).then(function (stream) {
+      tracks = tracks.concat(stream.getTracks())
+
+      return stream
+    })
+  }
+
+  return mediaDevices
+}
+
 function setIceCandidateCallbacks(webRtcPeer, pc, onerror) {
   webRtcPeer.on('icecandidate', bufferizeCandidates(pc, function (error) {
     if (error) return onerror(error)
@@ -363,14 +420,10 @@ QUnit.test('processOffer', function (assert) {
   })
 });
 
-//
-// Properties
-//
-
-QUnit.test('currentFrame', function (assert) {
+QUnit.test('Promise API', function (assert) {
   var done = assert.async();
 
-  assert.expect(2);
+  assert.expect(3);
 
   var ctx = this
 
@@ -381,110 +434,100 @@ QUnit.test('currentFrame', function (assert) {
     done()
   }
 
-  var video = document.getElementById('video')
+  var audioStream = getOscillatorMedia()
 
   var options = {
+    audioStream: audioStream,
     configuration: {
       iceServers: []
-    },
-    remoteVideo: video
+    }
   }
 
-  ctx.webRtcPeer = WebRtcPeerRecvonly(options, function (error) {
-    var self = this
+  WebRtcPeer.create('sendonly', options).then(function (webRtcPeer) {
+    ctx.webRtcPeer = webRtcPeer
 
-    if (error) return onerror(error)
+    var stream = webRtcPeer.getLocalStream()
+    assert.equal(stream, audioStream, 'local stream')
 
-    this.generateOffer(function (error, sdpOffer, processAnswer) {
-      if (error) return onerror(error)
+    return webRtcPeer.generateOffer()
+  }).then(function (sdpOffer) {
+    var offer = new RTCSessionDescription({
+      type: 'offer',
+      sdp: sdpOffer
+    });
 
-      var offer = new RTCSessionDescription({
-        type: 'offer',
-        sdp: sdpOffer
-      });
+    ctx.peerConnection = new RTCPeerConnection()
 
-      ctx.peerConnection = new RTCPeerConnection()
+    setIceCandidateCallbacks(ctx.webRtcPeer, ctx.peerConnection,
+      onerror)
+
+    return ctx.peerConnection.setRemoteDescription(offer)
+  }).then(function () {
+    return ctx.peerConnection.createAnswer()
+  }).then(function (answer) {
+    return ctx.peerConnection.setLocalDescription(answer)
+  }).then(function () {
+    var sdpAnswer = ctx.peerConnection.localDescription.sdp
+
+    return ctx.webRtcPeer.processAnswer(sdpAnswer)
+  }).then(function () {
+    ctx.webRtcPeer.dispose()
+
+    return ctx.webRtcPeer.processAnswer('')
+  }).then(function () {
+    assert.ok(false, 'processAnswer should fail after dispose')
+  }, function (error) {
+    assert.ok(error instanceof Error, 'rejected with an Error')
+    assert.equal(error.message, 'PeerConnection is closed', 'closed')
+  }).then(done, onerror)
+});
 
-      setIceCandidateCallbacks(this, ctx.peerConnection, onerror)
+QUnit.test('restartIce', function (assert) {
+  var done = assert.async();
 
-      ctx.peerConnection.setRemoteDescription(offer, function () {
-          var mediaConstraints = {
-            audio: false,
-            fake: true,
-            video: {
-              width: {
-                min: 1024,
-                ideal: 1280,
-                max: 1920
-              },
-              height: {
-                min: 576,
-                ideal: 720,
-                max: 1080
-              }
-            }
-          }
+  assert.expect(2);
 
-          getUserMedia(mediaConstraints, function (stream) {
-              ctx.peerConnection.addStream(stream)
+  var ctx = this
 
-              ctx.peerConnection.createAnswer(function (
-                  answer) {
-                  ctx.peerConnection.setLocalDescription(
-                    answer,
-                    function () {
-                      processAnswer(answer.sdp, function (
-                        error) {
-                        if (error) return onerror(error)
+  function onerror(error) {
+    if (error)
+      QUnit.pushFailure(error.message || error, error.stack);
 
-                        var stream = this
-                          .getRemoteStream()
-                        assert.notEqual(stream,
-                          undefined, 'remote stream')
+    done()
+  }
 
-                        function onplaying() {
-                          video.removeEventListener(
-                            'playing', onplaying)
+  function getUfrag(sdp) {
+    return sdp.match(/a=ice-ufrag:(.*)/)[1]
+  }
 
-                          setTimeout(function () {
-                            var currentFrame =
-                              self.currentFrame
+  var options = {
+    audioStream: getOscillatorMedia(),
+    configuration: {
+      iceServers: []
+    }
+  }
 
-                            var x = currentFrame
-                              .width /
-                              2
-                            var y = currentFrame
-                              .height /
-                              2
+  var ufrag
 
-                            assert.notPixelEqual(
-                              currentFrame, x,
-                              y, 0, 0, 0, 0,
-                              'playing');
+  WebRtcPeer.create('sendonly', options).then(function (webRtcPeer) {
+    ctx.webRtcPeer = webRtcPeer
 
-                            done()
-                          }, 1000)
-                        }
+    return webRtcPeer.generateOffer()
+  }).then(function (sdpOffer) {
+    ufrag = getUfrag(sdpOffer)
 
-                        video.addEventListener(
-                          'playing', onplaying)
-                      })
-                    },
-                    onerror);
-                },
-                onerror);
-            },
-            onerror)
-        },
-        onerror)
-    })
-  })
+    return ctx.webRtcPeer.restartIce()
+  }).then(function (sdpOffer) {
+    assert.notEqual(getUfrag(sdpOffer), ufrag, 'new ICE credentials')
+    assert.equal(ctx.webRtcPeer.peerConnection.signalingState,
+      'have-local-offer', 'waiting for answer')
+  }).then(done, onerror)
 });
 
-QUnit.test('enabled', function (assert) {
+QUnit.test('renegotiation', function (assert) {
   var done = assert.async();
 
-  assert.expect(4);
+  assert.expect(2);
 
   var ctx = this
 
@@ -495,36 +538,118 @@ QUnit.test('enabled', function (assert) {
     done()
   }
 
+  function answer(sdpOffer) {
+    var pc = ctx.peerConnection
+
+    return pc.setRemoteDescription({
+      type: 'offer',
+      sdp: sdpOffer
+    }).then(function () {
+      return pc.createAnswer()
+    }).then(function (answer) {
+      return pc.setLocalDescription(answer)
+    }).then(function () {
+      return ctx.webRtcPeer.processAnswer(pc.localDescription.sdp)
+    })
+  }
+
   var options = {
     audioStream: getOscillatorMedia(),
     configuration: {
       iceServers: []
-    }
+    },
+    renegotiation: true
   }
 
-  ctx.webRtcPeer = WebRtcPeerSendonly(options, function (error, sdpoffer,
-    processAnswer) {
-    var self = this
+  ctx.peerConnection = new RTCPeerConnection()
 
-    if (error) return onerror(error)
+  WebRtcPeer.create('sendrecv', options).then(function (webRtcPeer) {
+    ctx.webRtcPeer = webRtcPeer
 
-    assert.ok(this.audioEnabled, 'enabled')
+    webRtcPeer.on('negotiationneeded', function (sdpOffer) {
+      assert.ok(/^m=video/m.test(sdpOffer),
+        'video added to the offer')
 
-    this.enabled = false
-    assert.ok(!this.audioEnabled, 'disabled')
+      answer(sdpOffer).then(function () {
+        assert.equal(webRtcPeer.peerConnection.signalingState,
+          'stable',
+          'renegotiated')
+      }).then(done, onerror)
+    })
 
-    this.enabled = true
-    assert.ok(this.audioEnabled, 'enabled again')
+    return webRtcPeer.generateOffer()
+  }).then(answer).then(function () {
+    var canvas = document.getElementById('canvas')
 
-    this.audioEnabled = false
-    assert.ok(!this.enabled, 'audio disable global')
+    ctx.webRtcPeer.addTrack(canvas.captureStream().getVideoTracks()[0])
+  }).catch(onerror)
+});
+
+QUnit.test('remotestream', function (assert) {
+  var done = assert.async();
+
+  assert.expect(3);
+
+  var ctx = this
+
+  function onerror(error) {
+    if (error)
+      QUnit.pushFailure(error.message || error, error.stack);
 
-    this.dispose()
     done()
-  })
+  }
+
+  var audioStream = getOscillatorMedia()
+  var videoStream = document.getElementById('canvas').captureStream()
+
+  var video = document.getElementById('video')
+
+  var options = {
+    configuration: {
+      iceServers: []
+    },
+    remoteElements: {}
+  }
+  options.remoteElements[videoStream.id] = video
+
+  var ids = []
+
+  WebRtcPeer.create('recvonly', options).then(function (webRtcPeer) {
+    ctx.webRtcPeer = webRtcPeer
+
+    webRtcPeer.on('remotestream', function (stream) {
+      ids.push(stream.id)
+    })
+
+    return webRtcPeer.generateOffer()
+  }).then(function (sdpOffer) {
+    var pc = ctx.peerConnection = new RTCPeerConnection()
+
+    return pc.setRemoteDescription({
+      type: 'offer',
+      sdp: sdpOffer
+    }).then(function () {
+      pc.addTrack(audioStream.getAudioTracks()[0], audioStream)
+      pc.addTrack(videoStream.getVideoTracks()[0], videoStream)
+
+      return pc.createAnswer()
+    }).then(function (answer) {
+      return pc.setLocalDescription(answer)
+    }).then(function () {
+      return ctx.webRtcPeer.processAnswer(pc.localDescription.sdp)
+    })
+  }).then(function () {
+    var expected = [audioStream.id, videoStream.id]
+
+    assert.deepEqual(ids.sort(), expected.sort(), 'grouped by stream')
+    assert.equal(ctx.webRtcPeer.getRemoteStreams().length, 2,
+      'remote streams')
+    assert.equal(video.srcObject.id, videoStream.id,
+      'mapped to element')
+  }).then(done, onerror)
 });
 
-QUnit.test('audioEnabled', function (assert) {
+QUnit.test('trickleIce: false', function (assert) {
   var done = assert.async();
 
   assert.expect(3);
@@ -542,35 +667,84 @@ QUnit.test('audioEnabled', function (assert) {
     audioStream: getOscillatorMedia(),
     configuration: {
       iceServers: []
+    },
+    trickleIce: false,
+    onicecandidate: function () {
+      QUnit.pushFailure('icecandidate event emitted')
     }
   }
 
-  ctx.webRtcPeer = WebRtcPeerSendonly(options, function (error, sdpoffer,
-    processAnswer) {
-    var self = this
+  WebRtcPeer.create('sendonly', options).then(function (webRtcPeer) {
+    ctx.webRtcPeer = webRtcPeer
 
-    if (error) return onerror(error)
+    return webRtcPeer.generateOffer()
+  }).then(function (sdpOffer) {
+    var pc = ctx.webRtcPeer.peerConnection
 
-    var stream = this.getLocalStream()
-    var track = stream.getAudioTracks()[0]
+    assert.equal(pc.iceGatheringState, 'complete', 'gathering finished')
+    assert.ok(/^a=candidate:/m.test(sdpOffer),
+      'candidates in SDP offer')
+    assert.equal(sdpOffer, pc.localDescription.sdp, 'final SDP offer')
+  }).then(done, onerror)
+});
 
-    assert.ok(track.enabled, 'enabled')
+QUnit.test('candidateFilter', function (assert) {
+  var done = assert.async();
 
-    this.audioEnabled = false
-    assert.ok(!track.enabled, 'disabled')
+  assert.expect(3);
 
-    this.audioEnabled = true
-    assert.ok(track.enabled, 'enabled again')
+  var ctx = this
+
+  function onerror(error) {
+    if (error)
+      QUnit.pushFailure(error.message || error, error.stack);
 
-    this.dispose()
     done()
-  })
+  }
+
+  var dropped = {
+    local: 0,
+    remote: 0
+  }
+
+  var options = {
+    audioStream: getOscillatorMedia(),
+    configuration: {
+      iceServers: []
+    },
+    trickleIce: false,
+    candidateFilter: ['no-ipv6', function (candidate) {
+      return candidate.type !== 'host'
+    }]
+  }
+
+  WebRtcPeer.create('sendonly', options).then(function (webRtcPeer) {
+    ctx.webRtcPeer = webRtcPeer
+
+    webRtcPeer.on('candidatedropped', function (candidate, origin) {
+      dropped[origin]++
+    })
+
+    return webRtcPeer.generateOffer()
+  }).then(function (sdpOffer) {
+    assert.notOk(/^a=candidate:.* typ host/m.test(sdpOffer),
+      'no host candidates in SDP offer')
+    assert.ok(dropped.local, 'local candidates dropped')
+
+    return ctx.webRtcPeer.addIceCandidate({
+      candidate: 'candidate:1 1 udp 2122262783 2001:db8::1 9 typ srflx',
+      sdpMid: '0',
+      sdpMLineIndex: 0
+    })
+  }).then(function () {
+    assert.equal(dropped.remote, 1, 'remote IPv6 candidate dropped')
+  }).then(done, onerror)
 });
 
-QUnit.test('videoEnabled', function (assert) {
+QUnit.test('bufferizeCandidates', function (assert) {
   var done = assert.async();
 
-  assert.expect(3);
+  assert.expect(4);
 
   var ctx = this
 
@@ -581,26 +755,1387 @@ QUnit.test('videoEnabled', function (assert) {
     done()
   }
 
-  const TIMEOUT = 500; // ms
+  var offerer = ctx.peerConnection = new RTCPeerConnection()
+  var answerer = new RTCPeerConnection()
 
-  var video = document.getElementById('video')
-  var canvas = document.getElementById('canvas')
-  var context = canvas.getContext('2d');
+  var addIceCandidate = bufferizeCandidates(answerer, onerror)
+
+  // Both the candidate and the remote description must be set
+  var pending = 2
+
+  function finish() {
+    if (--pending) return
+
+    answerer.close()
+    done()
+  }
+
+  offerer.createDataChannel('test')
+
+  var queued = false
+
+  offerer.addEventListener('icecandidate', function (event) {
+    // Only one candidate is needed
+    if (!event.candidate || queued) return
+    queued = true
+
+    addIceCandidate(event.candidate, function (error) {
+      if (error) return onerror(error)
+
+      assert.equal(answerer.signalingState, 'have-remote-offer',
+        'added before the answer')
+
+      finish()
+    })
+
+    assert.equal(addIceCandidate.queueLength, 1, 'queued')
+
+    // End-of-candidates waits after the previous candidates
+    addIceCandidate(null)
+    assert.equal(addIceCandidate.queueLength, 2,
+      'end-of-candidates queued')
+
+    answerer.setRemoteDescription(offerer.localDescription).then(
+      function () {
+        assert.equal(addIceCandidate.queueLength, 0, 'queue flushed')
+
+        finish()
+      }, onerror)
+  })
+
+  offerer.createOffer().then(function (offer) {
+    return offerer.setLocalDescription(offer)
+  }).catch(onerror)
+});
+
+QUnit.test('getStatsSummary', function (assert) {
+  var done = assert.async();
+
+  assert.expect(3);
+
+  var ctx = this
+
+  function onerror(error) {
+    if (error)
+      QUnit.pushFailure(error.message || error, error.stack);
+
+    done()
+  }
 
   var options = {
+    audioStream: getOscillatorMedia(),
     configuration: {
       iceServers: []
-    },
-    localVideo: video,
-    mediaConstraints: {
-      audio: false,
-      video: true,
-      fake: true
     }
   }
 
-  ctx.webRtcPeer = WebRtcPeerSendonly(options, function (error, sdpoffer,
-    processAnswer) {
+  WebRtcPeer.create('sendonly', options).then(function (webRtcPeer) {
+    ctx.webRtcPeer = webRtcPeer
+
+    return webRtcPeer.generateOffer()
+  }).then(function (sdpOffer) {
+    ctx.peerConnection = new RTCPeerConnection()
+
+    setIceCandidateCallbacks(ctx.webRtcPeer, ctx.peerConnection,
+      onerror)
+
+    return ctx.peerConnection.setRemoteDescription({
+      type: 'offer',
+      sdp: sdpOffer
+    })
+  }).then(function () {
+    return ctx.peerConnection.createAnswer()
+  }).then(function (answer) {
+    return ctx.peerConnection.setLocalDescription(answer)
+  }).then(function () {
+    return ctx.webRtcPeer.processAnswer(ctx.peerConnection
+      .localDescription
+      .sdp)
+  }).then(function () {
+    ctx.webRtcPeer.startStats({
+      interval: 500
+    })
+
+    ctx.webRtcPeer.once('stats', function (stats) {
+      var track = stats.tracks.filter(function (track) {
+        return track.direction === 'outbound'
+      })[0]
+
+      assert.ok(track, 'outbound track')
+      assert.equal(track.kind, 'audio', 'kind')
+      assert.equal(typeof track.bitrate, 'number', 'bitrate')
+
+      done()
+    })
+  }).catch(onerror)
+});
+
+QUnit.test('replaceAudioTrack', function (assert) {
+  var done = assert.async();
+
+  assert.expect(4);
+
+  var ctx = this
+
+  function onerror(error) {
+    if (error)
+      QUnit.pushFailure(error.message || error, error.stack);
+
+    done()
+  }
+
+  var audioStream = getOscillatorMedia()
+  var oldTrack = audioStream.getAudioTracks()[0]
+  var newTrack = getOscillatorMedia().getAudioTracks()[0]
+
+  var options = {
+    audioStream: audioStream,
+    configuration: {
+      iceServers: []
+    }
+  }
+
+  WebRtcPeer.create('sendonly', options).then(function (webRtcPeer) {
+    ctx.webRtcPeer = webRtcPeer
+
+    webRtcPeer.audioEnabled = false
+
+    return webRtcPeer.replaceAudioTrack(newTrack)
+  }).then(function () {
+    var sender = ctx.webRtcPeer.peerConnection.getSenders()[0]
+
+    assert.equal(sender.track, newTrack, 'new track is sent')
+    assert.equal(oldTrack.readyState, 'ended', 'old track stopped')
+    assert.deepEqual(audioStream.getAudioTracks(), [newTrack],
+      'local stream updated')
+    assert.ok(!ctx.webRtcPeer.audioEnabled, 'still disabled')
+  }).then(done, onerror)
+});
+
+QUnit.test('sendSource', function (assert) {
+  var done = assert.async();
+
+  var surfaces = {
+    screen: 'monitor',
+    window: 'window',
+    tab: 'browser'
+  }
+  var sources = Object.keys(surfaces)
+
+  assert.expect(sources.length * 2);
+
+  var ctx = this
+
+  function onerror(error) {
+    if (error)
+      QUnit.pushFailure(error.message || error, error.stack);
+
+    done()
+  }
+
+  sources.reduce(function (promise, sendSource) {
+    return promise.then(function () {
+      return WebRtcPeer.create('sendonly', {
+        webrtc: FakeWebRtc,
+        sendSource: sendSource,
+        contentHint: 'text',
+        configuration: {
+          iceServers: []
+        }
+      })
+    }).then(function (webRtcPeer) {
+      ctx.webRtcPeer = webRtcPeer
+
+      var track = webRtcPeer.getLocalStream().getVideoTracks()[0]
+
+      assert.equal(track.getSettings().displaySurface, surfaces[
+          sendSource],
+        sendSource + ' surface preselected')
+      assert.equal(track.contentHint, 'text', 'content hint set')
+
+      webRtcPeer.dispose()
+    })
+  }, Promise.resolve()).then(done, onerror)
+});
+
+QUnit.test('screenended', function (assert) {
+  var done = assert.async();
+
+  assert.expect(1);
+
+  var ctx = this
+
+  function onerror(error) {
+    if (error)
+      QUnit.pushFailure(error.message || error, error.stack);
+
+    done()
+  }
+
+  var options = {
+    webrtc: FakeWebRtc,
+    sendSource: 'screen',
+    configuration: {
+      iceServers: []
+    }
+  }
+
+  WebRtcPeer.create('sendonly', options).then(function (webRtcPeer) {
+    ctx.webRtcPeer = webRtcPeer
+
+    webRtcPeer.on('screenended', function () {
+      assert.ok(true, 'screenended emitted')
+
+      done()
+    })
+
+    // Like when clicking the "Stop sharing" button of the browser
+    var track = webRtcPeer.getLocalStream().getVideoTracks()[0]
+
+    track.readyState = 'ended'
+    track.dispatchEvent({
+      type: 'ended'
+    })
+  }).catch(onerror)
+});
+
+QUnit.test('sendSource without microphone', function (assert) {
+  var done = assert.async();
+
+  assert.expect(2);
+
+  var mediaDevices = new FakeWebRtc.MediaDevices()
+  var screens = []
+
+  var getDisplayMedia = mediaDevices.getDisplayMedia
+  mediaDevices.getDisplayMedia = function (constraints) {
+    return getDisplayMedia(constraints).then(function (stream) {
+      screens.push(stream)
+
+      return stream
+    })
+  }
+
+  var options = {
+    webrtc: withMediaDevices(mediaDevices),
+    sendSource: 'screen',
+    mediaConstraints: {
+      audio: {
+        deviceId: {
+          exact: 'unplugged-microphone'
+        }
+      }
+    },
+    configuration: {
+      iceServers: []
+    }
+  }
+
+  WebRtcPeer.create('sendonly', options).then(function (webRtcPeer) {
+    webRtcPeer.dispose()
+
+    QUnit.pushFailure('WebRtcPeer created without microphone')
+  }, function (error) {
+    assert.equal(error.name, 'OverconstrainedError', 'microphone error')
+    assert.notOk(screens[0].active, 'screen capture stopped')
+  }).then(done, done)
+});
+
+QUnit.test('switchCamera', function (assert) {
+  var done = assert.async();
+
+  assert.expect(3);
+
+  var ctx = this
+
+  function onerror(error) {
+    if (error)
+      QUnit.pushFailure(error.message || error, error.stack);
+
+    done()
+  }
+
+  var options = {
+    webrtc: withMediaDevices(createPhoneDevices()),
+    configuration: {
+      iceServers: []
+    }
+  }
+
+  var oldTrack
+
+  WebRtcPeer.create('sendonly', options).then(function (webRtcPeer) {
+    ctx.webRtcPeer = webRtcPeer
+
+    oldTrack = webRtcPeer.getLocalStream().getVideoTracks()[0]
+
+    return webRtcPeer.switchCamera()
+  }).then(function () {
+    var track = ctx.webRtcPeer.getLocalStream().getVideoTracks()[0]
+
+    assert.equal(track.getSettings().deviceId, 'back',
+      'next camera sent')
+    assert.equal(oldTrack.readyState, 'ended',
+      'previous camera released')
+    assert.equal(ctx.webRtcPeer.peerConnection.getSenders()[1].track,
+      track,
+      'new track is sent')
+  }).then(done, onerror)
+});
+
+QUnit.test('switchCamera to a camera that fails', function (assert) {
+  var done = assert.async();
+
+  assert.expect(4);
+
+  var ctx = this
+
+  function onerror(error) {
+    if (error)
+      QUnit.pushFailure(error.message || error, error.stack);
+
+    done()
+  }
+
+  var mediaDevices = createPhoneDevices()
+
+  // The back camera can't be used even after releasing the front one
+  var getUserMedia = mediaDevices.getUserMedia
+  mediaDevices.getUserMedia = function (constraints) {
+    var video = constraints.video
+    if (video && video.deviceId && video.deviceId.exact === 'back') {
+      var error = new Error('Could not start video source')
+      error.name = 'NotReadableError'
+
+      return Promise.reject(error)
+    }
+
+    return getUserMedia(constraints)
+  }
+
+  var options = {
+    webrtc: withMediaDevices(mediaDevices),
+    configuration: {
+      iceServers: []
+    }
+  }
+
+  var oldTrack
+
+  WebRtcPeer.create('sendonly', options).then(function (webRtcPeer) {
+    ctx.webRtcPeer = webRtcPeer
+
+    oldTrack = webRtcPeer.getLocalStream().getVideoTracks()[0]
+
+    return webRtcPeer.switchCamera('back')
+  }).then(function () {
+    throw new Error('The camera should not have been switched')
+  }, function (error) {
+    assert.equal(error.name, 'NotReadableError', 'error reported')
+
+    var track = ctx.webRtcPeer.peerConnection.getSenders()[1].track
+
+    assert.notEqual(track, oldTrack, 'previous track replaced')
+    assert.equal(track.getSettings().deviceId, 'front',
+      'previous camera restored')
+    assert.equal(track.readyState, 'live', 'restored camera sent')
+  }).then(done, onerror)
+});
+
+QUnit.test('simulcast', function (assert) {
+  var done = assert.async();
+
+  assert.expect(2);
+
+  var ctx = this
+
+  function onerror(error) {
+    if (error)
+      QUnit.pushFailure(error.message || error, error.stack);
+
+    done()
+  }
+
+  var canvas = document.getElementById('canvas')
+
+  var options = {
+    videoStream: canvas.captureStream(),
+    configuration: {
+      iceServers: []
+    },
+    simulcast: {
+      layers: 2
+    }
+  }
+
+  WebRtcPeer.create('sendonly', options).then(function (webRtcPeer) {
+    ctx.webRtcPeer = webRtcPeer
+
+    return webRtcPeer.generateOffer()
+  }).then(function (sdpOffer) {
+    assert.ok(/a=simulcast:send f;h/.test(sdpOffer), 'simulcast layers')
+    assert.ok(/a=rtpmap:\d+ rtx\//.test(sdpOffer), 'RTX is kept')
+  }).then(done, onerror)
+});
+
+QUnit.test('startRecording', function (assert) {
+  var done = assert.async();
+
+  assert.expect(3);
+
+  var ctx = this
+
+  function onerror(error) {
+    if (error)
+      QUnit.pushFailure(error.message || error, error.stack);
+
+    done()
+  }
+
+  function wait(milliseconds) {
+    return new Promise(function (resolve) {
+      setTimeout(resolve, milliseconds)
+    })
+  }
+
+  var options = {
+    audioStream: getOscillatorMedia(),
+    configuration: {
+      iceServers: []
+    }
+  }
+
+  var chunks = 0
+
+  WebRtcPeer.create('sendonly', options).then(function (webRtcPeer) {
+    ctx.webRtcPeer = webRtcPeer
+
+    webRtcPeer.on('recordingdata', function () {
+      chunks++
+    })
+
+    webRtcPeer.startRecording({
+      source: 'local',
+      timeslice: 100
+    })
+
+    return wait(300)
+  }).then(function () {
+    var track = getOscillatorMedia().getAudioTracks()[0]
+
+    return ctx.webRtcPeer.replaceAudioTrack(track)
+  }).then(function () {
+    return wait(300)
+  }).then(function () {
+    return ctx.webRtcPeer.stopRecording()
+  }).then(function (blob) {
+    assert.ok(chunks > 1, 'recordingdata events')
+    assert.ok(blob instanceof Blob, 'final Blob')
+    assert.ok(blob.size > 0, 'recorded data')
+  }).then(done, onerror)
+});
+
+QUnit.test('startRecording a kind added later', function (assert) {
+  var done = assert.async();
+
+  assert.expect(2);
+
+  var ctx = this
+
+  function onerror(error) {
+    if (error)
+      QUnit.pushFailure(error.message || error, error.stack);
+
+    done()
+  }
+
+  function wait(milliseconds) {
+    return new Promise(function (resolve) {
+      setTimeout(resolve, milliseconds)
+    })
+  }
+
+  var options = {
+    audioStream: getOscillatorMedia(),
+    configuration: {
+      iceServers: []
+    }
+  }
+
+  WebRtcPeer.create('sendonly', options).then(function (webRtcPeer) {
+    ctx.webRtcPeer = webRtcPeer
+
+    webRtcPeer.startRecording({
+      source: 'local',
+      kinds: ['audio', 'video']
+    })
+
+    return wait(300)
+  }).then(function () {
+    var canvas = document.getElementById('canvas')
+
+    ctx.webRtcPeer.addTrack(canvas.captureStream().getVideoTracks()[0])
+
+    return wait(300)
+  }).then(function () {
+    return ctx.webRtcPeer.stopRecording()
+  }).then(function (blob) {
+    assert.ok(/^video\//.test(blob.type), 'video recorded')
+    assert.ok(blob.size > 0, 'recorded data')
+  }).then(done, onerror)
+});
+
+QUnit.test('captureFrame', function (assert) {
+  var done = assert.async();
+
+  assert.expect(4);
+
+  var ctx = this
+
+  function onerror(error) {
+    if (error)
+      QUnit.pushFailure(error.message || error, error.stack);
+
+    done()
+  }
+
+  var canvas = document.getElementById('canvas')
+
+  var context = canvas.getContext('2d')
+  context.fillRect(0, 0, canvas.width, canvas.height)
+
+  var options = {
+    videoStream: canvas.captureStream(),
+    configuration: {
+      iceServers: []
+    }
+  }
+
+  WebRtcPeer.create('sendonly', options).then(function (webRtcPeer) {
+    ctx.webRtcPeer = webRtcPeer
+
+    return webRtcPeer.captureFrame({
+      source: 'local',
+      format: 'image/jpeg',
+      width: 100
+    })
+  }).then(function (blob) {
+    assert.ok(blob instanceof Blob, 'frame captured')
+    assert.equal(blob.type, 'image/jpeg', 'requested format')
+
+    return ctx.webRtcPeer.captureFrame({
+      source: 'local',
+      format: 'imagebitmap',
+      width: 100
+    })
+  }).then(function (bitmap) {
+    assert.equal(bitmap.width, 100, 'requested width')
+
+    return ctx.webRtcPeer.captureFrame()
+  }).then(function () {
+    onerror(new Error('Captured a frame without remote video'))
+  }, function (error) {
+    assert.ok(error, 'no remote video')
+  }).then(done, onerror)
+});
+
+QUnit.test('voiceActivity', function (assert) {
+  var done = assert.async();
+
+  assert.expect(3);
+
+  var ctx = this
+
+  function onerror(error) {
+    if (error)
+      QUnit.pushFailure(error.message || error, error.stack);
+
+    done()
+  }
+
+  function onvolume(webRtcPeer) {
+    return new Promise(function (resolve) {
+      webRtcPeer.once('volume', function (volume, threshold, side) {
+        resolve(side)
+      })
+    })
+  }
+
+  var options = {
+    audioStream: getOscillatorMedia(),
+    configuration: {
+      iceServers: []
+    },
+    voiceActivity: {
+      side: 'local',
+      interval: 50
+    }
+  }
+
+  WebRtcPeer.create('sendonly', options).then(function (webRtcPeer) {
+    ctx.webRtcPeer = webRtcPeer
+
+    return onvolume(webRtcPeer)
+  }).then(function (side) {
+    assert.equal(side, 'local', 'volume of the local audio')
+
+    var track = getOscillatorMedia().getAudioTracks()[0]
+
+    return ctx.webRtcPeer.replaceAudioTrack(track)
+  }).then(function () {
+    return onvolume(ctx.webRtcPeer)
+  }).then(function (side) {
+    assert.equal(side, 'local', 'volume of the replacing track')
+
+    assert.throws(function () {
+      new WebRtcPeer('recvonly', {
+        voiceActivity: 'left'
+      })
+    }, /Unknown voice activity side/, 'invalid side')
+  }).then(done, onerror)
+});
+
+QUnit.test('dispose with the DataChannel closed', function (assert) {
+  var done = assert.async();
+
+  assert.expect(2);
+
+  var ctx = this
+
+  function onerror(error) {
+    if (error)
+      QUnit.pushFailure(error.message || error, error.stack);
+
+    done()
+  }
+
+  var options = {
+    audioStream: getOscillatorMedia(),
+    configuration: {
+      iceServers: []
+    },
+    dataChannels: true,
+    voiceActivity: {
+      side: 'local',
+      interval: 50
+    }
+  }
+
+  WebRtcPeer.create('sendonly', options).then(function (webRtcPeer) {
+    ctx.webRtcPeer = webRtcPeer
+
+    return new Promise(function (resolve) {
+      webRtcPeer.once('volume', resolve)
+    })
+  }).then(function () {
+    var dataChannel = ctx.webRtcPeer.dataChannel
+
+    return new Promise(function (resolve) {
+      dataChannel.addEventListener('close', resolve)
+      dataChannel.close()
+    })
+  }).then(function () {
+    var volumes = 0
+
+    ctx.webRtcPeer.on('volume', function () {
+      volumes++
+    })
+
+    ctx.webRtcPeer.dispose()
+
+    assert.equal(ctx.webRtcPeer.peerConnection.signalingState, 'closed',
+      'RTCPeerConnection closed')
+
+    return new Promise(function (resolve) {
+      setTimeout(resolve, 200)
+    }).then(function () {
+      assert.equal(volumes, 0, 'voice activity stopped')
+    })
+  }).then(done, onerror)
+});
+
+QUnit.test('Devices', function (assert) {
+  var done = assert.async();
+
+  assert.expect(4);
+
+  var ctx = this
+
+  function onerror(error) {
+    if (error)
+      QUnit.pushFailure(error.message || error, error.stack);
+
+    done()
+  }
+
+  var canvas = document.getElementById('canvas')
+  var track = canvas.captureStream().getVideoTracks()[0]
+
+  var options = {
+    videoStream: new MediaStream([track]),
+    configuration: {
+      iceServers: []
+    }
+  }
+
+  kurentoUtils.listDevices().then(function (devices) {
+    assert.ok(Array.isArray(devices.videoInput), 'cameras listed')
+    assert.ok(Array.isArray(devices.audioInput), 'microphones listed')
+
+    return WebRtcPeer.create('sendonly', options)
+  }).then(function (webRtcPeer) {
+    ctx.webRtcPeer = webRtcPeer
+
+    webRtcPeer.on('localtrackended', function (endedTrack) {
+      assert.equal(endedTrack, track, 'ended track')
+
+      webRtcPeer.selectDevices({}).catch(function (error) {
+        assert.ok(error, 'no devices to select')
+      }).then(done, onerror)
+    })
+
+    // Like when the device gets unplugged
+    track.dispatchEvent(new Event('ended'))
+  }).catch(onerror)
+});
+
+QUnit.test('webrtc implementation', function (assert) {
+  var done = assert.async();
+
+  assert.expect(2);
+
+  var ctx = this
+
+  function onerror(error) {
+    if (error)
+      QUnit.pushFailure(error.message || error, error.stack);
+
+    done()
+  }
+
+  var created = 0
+
+  function CountingPeerConnection(configuration) {
+    created++
+    return new RTCPeerConnection(configuration)
+  }
+
+  var options = {
+    configuration: {
+      iceServers: []
+    },
+    webrtc: {
+      RTCPeerConnection: CountingPeerConnection
+    }
+  }
+
+  WebRtcPeer.create('recvonly', options).then(function (webRtcPeer) {
+    ctx.webRtcPeer = webRtcPeer
+
+    return webRtcPeer.generateOffer()
+  }).then(function (sdpOffer) {
+    assert.equal(created, 1, 'injected RTCPeerConnection used')
+    assert.ok(sdpOffer, 'SDP offer generated')
+  }).then(done, onerror)
+});
+
+QUnit.test('codecPreferences', function (assert) {
+  var done = assert.async();
+
+  assert.expect(2);
+
+  var ctx = this
+
+  function onerror(error) {
+    if (error)
+      QUnit.pushFailure(error.message || error, error.stack);
+
+    done()
+  }
+
+  var canvas = document.getElementById('canvas')
+
+  var options = {
+    videoStream: canvas.captureStream(),
+    configuration: {
+      iceServers: []
+    },
+    codecPreferences: {
+      video: ['VP8']
+    }
+  }
+
+  WebRtcPeer.create('sendonly', options).then(function (webRtcPeer) {
+    ctx.webRtcPeer = webRtcPeer
+
+    return webRtcPeer.generateOffer()
+  }).then(function (sdpOffer) {
+    var payloadType = sdpOffer.match(/m=video \d+ [\w\/]+ (\d+)/)[1]
+
+    assert.ok(new RegExp('a=rtpmap:' + payloadType + ' VP8/').test(
+        sdpOffer),
+      'preferred codec first')
+    assert.ok(!/a=rtpmap:\d+ VP9\//.test(sdpOffer),
+      'other codecs removed')
+  }).then(done, onerror)
+});
+
+QUnit.test('setMaxBitrate', function (assert) {
+  var done = assert.async();
+
+  assert.expect(4);
+
+  var ctx = this
+
+  function onerror(error) {
+    if (error)
+      QUnit.pushFailure(error.message || error, error.stack);
+
+    done()
+  }
+
+  var options = {
+    audioStream: getOscillatorMedia(),
+    configuration: {
+      iceServers: []
+    },
+    maxAudioBitrate: 32000
+  }
+
+  WebRtcPeer.create('sendonly', options).then(function (webRtcPeer) {
+    ctx.webRtcPeer = webRtcPeer
+
+    return webRtcPeer.generateOffer()
+  }).then(function (sdpOffer) {
+    assert.ok(/b=TIAS:32000/.test(sdpOffer), 'receive bandwidth')
+
+    return ctx.webRtcPeer.setMaxBitrate('audio', 16000)
+  }).then(function () {
+    var sender = ctx.webRtcPeer.peerConnection.getSenders()[0]
+    var encoding = sender.getParameters().encodings[0]
+
+    assert.equal(encoding.maxBitrate, 16000, 'send bitrate')
+    assert.equal(ctx.webRtcPeer.getMaxBitrate('audio'), 16000,
+      'read back')
+
+    return ctx.webRtcPeer.setMaxBitrate('toString', 16000).then(
+      function () {
+        QUnit.pushFailure('Bitrate set for an invalid kind')
+      },
+      function (error) {
+        assert.equal(error.message, 'Invalid media kind: toString',
+          'invalid kind')
+      })
+  }).then(done, onerror)
+});
+
+QUnit.test('createDataChannel', function (assert) {
+  var done = assert.async();
+
+  assert.expect(3);
+
+  var ctx = this
+
+  function onerror(error) {
+    if (error)
+      QUnit.pushFailure(error.message || error, error.stack);
+
+    done()
+  }
+
+  var options = {
+    configuration: {
+      iceServers: []
+    }
+  }
+
+  WebRtcPeer.create('recvonly', options).then(function (webRtcPeer) {
+    ctx.webRtcPeer = webRtcPeer
+
+    var dataChannel = webRtcPeer.createDataChannel('chat', {
+      reliability: 'unordered'
+    })
+    assert.equal(webRtcPeer.getDataChannel('chat'), dataChannel,
+      'lookup')
+
+    dataChannel.on('message', function (data) {
+      assert.equal(data, 'hello', 'message received')
+
+      done()
+    })
+
+    ctx.peerConnection = new RTCPeerConnection()
+    ctx.peerConnection.ondatachannel = function (event) {
+      var channel = event.channel
+      assert.equal(channel.ordered, false, 'unordered')
+
+      channel.addEventListener('open', function () {
+        channel.send('hello')
+      })
+    }
+
+    setIceCandidateCallbacks(webRtcPeer, ctx.peerConnection, onerror)
+
+    return webRtcPeer.generateOffer()
+  }).then(function (sdpOffer) {
+    return ctx.peerConnection.setRemoteDescription({
+      type: 'offer',
+      sdp: sdpOffer
+    })
+  }).then(function () {
+    return ctx.peerConnection.createAnswer()
+  }).then(function (answer) {
+    return ctx.peerConnection.setLocalDescription(answer)
+  }).then(function () {
+    return ctx.webRtcPeer.processAnswer(ctx.peerConnection
+      .localDescription
+      .sdp)
+  }).catch(onerror)
+});
+
+QUnit.test('DataChannel messaging', function (assert) {
+  var done = assert.async();
+
+  assert.expect(3);
+
+  var ctx = this
+
+  function onerror(error) {
+    if (error)
+      QUnit.pushFailure(error.message || error, error.stack);
+
+    done()
+  }
+
+  var options = {
+    configuration: {
+      iceServers: []
+    }
+  }
+
+  var bytes = new Uint8Array(100000)
+  for (var i = 0; i < bytes.length; i++) bytes[i] = i % 256
+
+  WebRtcPeer.create('recvonly', options).then(function (webRtcPeer) {
+    ctx.webRtcPeer = webRtcPeer
+
+    var dataChannel = webRtcPeer.createDataChannel('rpc', {
+      messaging: true
+    })
+
+    // Sent before the data channel is open
+    dataChannel.send(bytes)
+    dataChannel.request({
+      value: 21
+    }).then(function (result) {
+      assert.equal(result, 42, 'response')
+
+      done()
+    }, onerror)
+
+    ctx.peerConnection = new RTCPeerConnection()
+    ctx.peerConnection.ondatachannel = function (event) {
+      var remote = new WebRtcPeer.DataChannel(event.channel)
+      assert.ok(remote.messaging, 'messaging protocol')
+
+      remote.on('message', function (data) {
+        assert.deepEqual(new Uint8Array(data), bytes,
+          'binary message')
+      })
+      remote.on('request', function (data, respond) {
+        respond(null, data.value * 2)
+      })
+    }
+
+    setIceCandidateCallbacks(webRtcPeer, ctx.peerConnection, onerror)
+
+    return webRtcPeer.generateOffer()
+  }).then(function (sdpOffer) {
+    return ctx.peerConnection.setRemoteDescription({
+      type: 'offer',
+      sdp: sdpOffer
+    })
+  }).then(function () {
+    return ctx.peerConnection.createAnswer()
+  }).then(function (answer) {
+    return ctx.peerConnection.setLocalDescription(answer)
+  }).then(function () {
+    return ctx.webRtcPeer.processAnswer(ctx.peerConnection
+      .localDescription
+      .sdp)
+  }).catch(onerror)
+});
+
+QUnit.test('sendFile', function (assert) {
+  var done = assert.async();
+
+  assert.expect(4);
+
+  var ctx = this
+
+  function onerror(error) {
+    if (error)
+      QUnit.pushFailure(error.message || error, error.stack);
+
+    done()
+  }
+
+  var options = {
+    configuration: {
+      iceServers: []
+    }
+  }
+
+  var bytes = new Uint8Array(100000)
+  for (var i = 0; i < bytes.length; i++) bytes[i] = i % 256
+
+  var file = new Blob([bytes], {
+    type: 'application/octet-stream'
+  })
+
+  // Both the sender and the receiver must finish
+  var pending = 2
+
+  function finish() {
+    if (!--pending) done()
+  }
+
+  ctx.peerConnection = new RTCPeerConnection()
+
+  WebRtcPeer.create('recvonly', {
+    peerConnection: ctx.peerConnection
+  }).then(function (remotePeer) {
+    remotePeer.on('file', function (transfer) {
+      assert.equal(transfer.size, bytes.length, 'file size')
+
+      transfer.on('end', function (received) {
+        var reader = new FileReader()
+
+        reader.onload = function () {
+          var result = new Uint8Array(reader.result)
+          assert.deepEqual(result, bytes, 'file received')
+
+          finish()
+        }
+        reader.readAsArrayBuffer(received)
+      })
+    })
+
+    return WebRtcPeer.create('recvonly', options)
+  }).then(function (webRtcPeer) {
+    ctx.webRtcPeer = webRtcPeer
+
+    var progress = 0
+
+    var transfer = webRtcPeer.sendFile(file, function (error) {
+      if (error) return onerror(error)
+
+      assert.equal(progress, bytes.length, 'progress')
+      assert.equal(transfer.state, 'completed', 'completed')
+
+      finish()
+    })
+
+    transfer.on('progress', function (bytesTransferred) {
+      progress = bytesTransferred
+    })
+
+    setIceCandidateCallbacks(webRtcPeer, ctx.peerConnection, onerror)
+
+    return webRtcPeer.generateOffer()
+  }).then(function (sdpOffer) {
+    return ctx.peerConnection.setRemoteDescription({
+      type: 'offer',
+      sdp: sdpOffer
+    })
+  }).then(function () {
+    return ctx.peerConnection.createAnswer()
+  }).then(function (answer) {
+    return ctx.peerConnection.setLocalDescription(answer)
+  }).then(function () {
+    return ctx.webRtcPeer.processAnswer(ctx.peerConnection
+      .localDescription
+      .sdp)
+  }).catch(onerror)
+});
+
+//
+// Properties
+//
+
+QUnit.test('currentFrame', function (assert) {
+  var done = assert.async();
+
+  assert.expect(2);
+
+  var ctx = this
+
+  function onerror(error) {
+    if (error)
+      QUnit.pushFailure(error.message || error, error.stack);
+
+    done()
+  }
+
+  var video = document.getElementById('video')
+
+  var options = {
+    configuration: {
+      iceServers: []
+    },
+    remoteVideo: video
+  }
+
+  ctx.webRtcPeer = WebRtcPeerRecvonly(options, function (error) {
+    var self = this
+
+    if (error) return onerror(error)
+
+    this.generateOffer(function (error, sdpOffer, processAnswer) {
+      if (error) return onerror(error)
+
+      var offer = new RTCSessionDescription({
+        type: 'offer',
+        sdp: sdpOffer
+      });
+
+      ctx.peerConnection = new RTCPeerConnection()
+
+      setIceCandidateCallbacks(this, ctx.peerConnection, onerror)
+
+      ctx.peerConnection.setRemoteDescription(offer, function () {
+          var mediaConstraints = {
+            audio: false,
+            fake: true,
+            video: {
+              width: {
+                min: 1024,
+                ideal: 1280,
+                max: 1920
+              },
+              height: {
+                min: 576,
+                ideal: 720,
+                max: 1080
+              }
+            }
+          }
+
+          getUserMedia(mediaConstraints, function (stream) {
+              ctx.peerConnection.addStream(stream)
+
+              ctx.peerConnection.createAnswer(function (
+                  answer) {
+                  ctx.peerConnection.setLocalDescription(
+                    answer,
+                    function () {
+                      processAnswer(answer.sdp, function (
+                        error) {
+                        if (error) return onerror(error)
+
+                        var stream = this
+                          .getRemoteStream()
+                        assert.notEqual(stream,
+                          undefined, 'remote stream')
+
+                        function onplaying() {
+                          video.removeEventListener(
+                            'playing', onplaying)
+
+                          setTimeout(function () {
+                            var currentFrame =
+                              self.currentFrame
+
+                            var x = currentFrame
+                              .width /
+                              2
+                            var y = currentFrame
+                              .height /
+                              2
+
+                            assert.notPixelEqual(
+                              currentFrame, x,
+                              y, 0, 0, 0, 0,
+                              'playing');
+
+                            done()
+                          }, 1000)
+                        }
+
+                        video.addEventListener(
+                          'playing', onplaying)
+                      })
+                    },
+                    onerror);
+                },
+                onerror);
+            },
+            onerror)
+        },
+        onerror)
+    })
+  })
+});
+
+QUnit.test('enabled', function (assert) {
+  var done = assert.async();
+
+  assert.expect(4);
+
+  var ctx = this
+
+  function onerror(error) {
+    if (error)
+      QUnit.pushFailure(error.message || error, error.stack);
+
+    done()
+  }
+
+  var options = {
+    audioStream: getOscillatorMedia(),
+    configuration: {
+      iceServers: []
+    }
+  }
+
+  ctx.webRtcPeer = WebRtcPeerSendonly(options, function (error) {
+    if (error) return onerror(error)
+
+    assert.ok(this.audioEnabled, 'enabled')
+
+    this.enabled = false
+    assert.ok(!this.audioEnabled, 'disabled')
+
+    this.enabled = true
+    assert.ok(this.audioEnabled, 'enabled again')
+
+    this.audioEnabled = false
+    assert.ok(!this.enabled, 'audio disable global')
+
+    this.dispose()
+    done()
+  })
+});
+
+QUnit.test('localmute', function (assert) {
+  var done = assert.async();
+
+  assert.expect(4);
+
+  var ctx = this
+
+  function onerror(error) {
+    if (error)
+      QUnit.pushFailure(error.message || error, error.stack);
+
+    done()
+  }
+
+  var stream = getOscillatorMedia()
+  var track = stream.getAudioTracks()[0]
+
+  var options = {
+    audioStream: stream,
+    configuration: {
+      iceServers: []
+    },
+    hardMute: true
+  }
+
+  WebRtcPeer.create('sendonly', options).then(function (webRtcPeer) {
+    ctx.webRtcPeer = webRtcPeer
+
+    webRtcPeer.once('localmute', function (kind) {
+      assert.equal(kind, 'audio', 'audio muted')
+    })
+    webRtcPeer.once('localunmute', function (kind) {
+      assert.equal(kind, 'audio', 'audio unmuted')
+    })
+
+    webRtcPeer.audioEnabled = false
+    assert.equal(track.readyState, 'ended', 'device stopped')
+
+    // Not changed, so no event is emitted
+    webRtcPeer.audioEnabled = false
+
+    webRtcPeer.audioEnabled = true
+    assert.ok(webRtcPeer.audioEnabled, 'enabled again')
+  }).then(done, onerror)
+});
+
+QUnit.test('audioEnabled', function (assert) {
+  var done = assert.async();
+
+  assert.expect(3);
+
+  var ctx = this
+
+  function onerror(error) {
+    if (error)
+      QUnit.pushFailure(error.message || error, error.stack);
+
+    done()
+  }
+
+  var options = {
+    audioStream: getOscillatorMedia(),
+    configuration: {
+      iceServers: []
+    }
+  }
+
+  ctx.webRtcPeer = WebRtcPeerSendonly(options, function (error) {
+    if (error) return onerror(error)
+
+    var stream = this.getLocalStream()
+    var track = stream.getAudioTracks()[0]
+
+    assert.ok(track.enabled, 'enabled')
+
+    this.audioEnabled = false
+    assert.ok(!track.enabled, 'disabled')
+
+    this.audioEnabled = true
+    assert.ok(track.enabled, 'enabled again')
+
+    this.dispose()
+    done()
+  })
+});
+
+QUnit.test('videoEnabled', function (assert) {
+  var done = assert.async();
+
+  assert.expect(3);
+
+  var ctx = this
+
+  function onerror(error) {
+    if (error)
+      QUnit.pushFailure(error.message || error, error.stack);
+
+    done()
+  }
+
+  const TIMEOUT = 500; // ms
+
+  var video = document.getElementById('video')
+  var canvas = document.getElementById('canvas')
+  var context = canvas.getContext('2d');
+
+  var options = {
+    configuration: {
+      iceServers: []
+    },
+    localVideo: video,
+    mediaConstraints: {
+      audio: false,
+      video: true,
+      fake: true
+    }
+  }
+
+  ctx.webRtcPeer = WebRtcPeerSendonly(options, function (error) {
     var self = this
 
     if (error) return onerror(error)
@@ -0,0 +1,297 @@
+/*
+ * (C) Copyright 2026 Kurento (http://kurento.org/)
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ *
+ */
+
+/**
+ * {@link WebSocketSignaling} test suite, using an in-process stand-in of the
+ * server of the Kurento tutorials.
+ */
+
+if (typeof QUnit == 'undefined') {
+  QUnit = require('qunit-cli');
+  QUnit.load();
+
+  kurentoUtils = require('..');
+
+  require('./_common');
+};
+
+var WebRtcPeer = kurentoUtils.WebRtcPeer;
+var WebSocketSignaling = kurentoUtils.WebSocketSignaling;
+
+/**
+ * Stand-in server, answering the `start` messages with a RTCPeerConnection
+ * like the Kurento tutorials do with a WebRtcEndpoint
+ */
+function Server() {
+  var self = this
+
+  this.online = true
+  this.sockets = []
+  this.received = []
+  this.peerConnections = []
+
+  function onstart(socket, sdpOffer) {
+    var pc = new RTCPeerConnection()
+    self.peerConnections.push(pc)
+
+    pc.addEventListener('icecandidate', function (event) {
+      if (event.candidate)
+        socket.reply({
+          id: 'iceCandidate',
+          candidate: event.candidate
+        })
+    })
+
+    socket.pc = pc
+
+    pc.setRemoteDescription({
+      type: 'offer',
+      sdp: sdpOffer
+    }).then(function () {
+      return pc.createAnswer()
+    }).then(function (answer) {
+      return pc.setLocalDescription(answer)
+    }).then(function () {
+      socket.reply({
+        id: 'startResponse',
+        sdpAnswer: pc.localDescription.sdp
+      })
+    }).catch(function (error) {
+      socket.reply({
+        id: 'error',
+        message: error.message
+      })
+    })
+  }
+
+  this.onmessage = function (socket, message) {
+    self.received.push(message.id)
+
+    switch (message.id) {
+    case 'start':
+      onstart(socket, message.sdpOffer)
+      break
+
+    case 'onIceCandidate':
+      if (socket.pc) socket.pc.addIceCandidate(message.candidate)
+      break
+    }
+  }
+
+  /**
+   * WebSocket implementation connecting to this server
+   */
+  this.WebSocket = function FakeWebSocket() {
+    var socket = this
+
+    this.readyState = 0
+
+    this.send = function (data) {
+      self.onmessage(socket, JSON.parse(data))
+    }
+
+    this.reply = function (message) {
+      if (socket.readyState !== 1) return
+
+      socket.onmessage({
+        data: JSON.stringify(message)
+      })
+    }
+
+    this.close = function () {
+      if (socket.readyState === 3) return
+
+      socket.readyState = 3
+      setTimeout(socket.onclose, 0)
+    }
+
+    self.sockets.push(socket)
+
+    setTimeout(function () {
+      if (!self.online) return socket.close()
+
+      socket.readyState = 1
+      socket.onopen()
+    }, 0)
+  }
+}
+
+Server.prototype.close = function () {
+  this.sockets.forEach(function (socket) {
+    socket.close()
+  })
+
+  this.peerConnections.forEach(function (pc) {
+    pc.close()
+  })
+}
+
+QUnit.module('WebSocketSignaling', {
+  afterEach: function () {
+    if (this.webRtcPeer)
+      this.webRtcPeer.dispose()
+
+    if (this.signaling)
+      this.signaling.close()
+
+    if (this.server)
+      this.server.close()
+  }
+});
+
+QUnit.test('attachSignaling', function (assert) {
+  var done = assert.async();
+
+  assert.expect(3);
+
+  var ctx = this
+
+  // Errors can happen after getting connected
+  var finished = false
+
+  function finish() {
+    if (finished) return
+
+    finished = true
+    done()
+  }
+
+  function onerror(error) {
+    if (error)
+      QUnit.pushFailure(error.message || error, error.stack);
+
+    finish()
+  }
+
+  var server = ctx.server = new Server()
+
+  ctx.signaling = new WebSocketSignaling('ws://localhost:8443/helloworld', {
+    WebSocket: server.WebSocket
+  })
+
+  var options = {
+    configuration: {
+      iceServers: []
+    }
+  }
+
+  WebRtcPeer.create('recvonly', options).then(function (webRtcPeer) {
+    ctx.webRtcPeer = webRtcPeer
+
+    var pc = webRtcPeer.peerConnection
+    pc.addEventListener('iceconnectionstatechange', function () {
+      if (pc.iceConnectionState !== 'connected') return
+
+      assert.notEqual(server.received.indexOf('onIceCandidate'), -1,
+        'local candidates sent')
+
+      finish()
+    })
+
+    return webRtcPeer.attachSignaling(ctx.signaling)
+  }).then(function () {
+    assert.equal(server.received[0], 'start', 'offer sent')
+    assert.equal(ctx.webRtcPeer.peerConnection.signalingState, 'stable',
+      'answer processed')
+  }).catch(onerror)
+});
+
+QUnit.test('Reconnection', function (assert) {
+  var done = assert.async();
+
+  assert.expect(4);
+
+  var ctx = this
+
+  var server = ctx.server = new Server()
+  server.online = false
+
+  var signaling = ctx.signaling = new WebSocketSignaling('ws://localhost', {
+    WebSocket: server.WebSocket,
+    reconnect: {
+      delay: 10
+    }
+  })
+
+  signaling.on('reconnecting', function (attempt) {
+    if (attempt === 2) server.online = true
+  })
+
+  signaling.on('open', function () {
+    assert.equal(server.sockets.length, 3, 'reconnected')
+    assert.equal(signaling.queueLength, 0, 'queue flushed')
+    assert.deepEqual(server.received, ['first', 'second'],
+      'messages sent')
+
+    done()
+  })
+
+  signaling.send({
+    id: 'first'
+  })
+  signaling.send({
+    id: 'second'
+  })
+
+  assert.equal(signaling.queueLength, 2, 'messages queued while offline')
+});
+
+/**
+ * Send a message, lose the connection and send another one while
+ * reconnecting, checking the messages got by the server after reconnecting
+ */
+function testReconnection(ctx, assert, dropQueueOnReconnect, expected) {
+  var done = assert.async();
+
+  assert.expect(1);
+
+  var server = ctx.server = new Server()
+
+  var signaling = ctx.signaling = new WebSocketSignaling('ws://localhost', {
+    WebSocket: server.WebSocket,
+    reconnect: {
+      delay: 10
+    },
+    dropQueueOnReconnect: dropQueueOnReconnect
+  })
+
+  signaling.once('open', function () {
+    signaling.on('open', function () {
+      assert.deepEqual(server.received, expected, 'messages sent')
+
+      done()
+    })
+
+    signaling.send({
+      id: 'first'
+    })
+
+    server.sockets[0].close()
+
+    signaling.send({
+      id: 'second'
+    })
+  })
+}
+
+QUnit.test('Reconnection keeps the queued messages', function (assert) {
+  testReconnection(this, assert, false, ['first', 'second'])
+});
+
+QUnit.test('dropQueueOnReconnect', function (assert) {
+  testReconnection(this, assert, true, ['first'])
+});